@@ -0,0 +1,26 @@
+/*
+ * Deploy-time overrides for BuzCart (loaded before the app bundle).
+ * Replace this file on the server to change settings without rebuilding;
+ * anything left undefined falls back to the VITE_* build variables.
+ */
+window.__BUZCART_CONFIG__ = {
+  // apiBase: "https://api.example.com",
+  // mediaBase: "https://cdn.example.com",
+  // currency: "NPR",
+  // locale: "en-NP",
+  // paypal: { clientId: "", currency: "USD", fxRate: 0.0077 },
+  // retry: { retries: 3, baseDelay: 300, maxDelay: 5000 },
+  // catalog: { serverFilters: true }, // false if the products API can't filter (price, seller, stock, date)
+  // auth: { tokenStorage: "local", idleTimeout: 30, idleWarning: 60 }, // storage: local | session | memory | cookie; idle: minutes / seconds
+  // oauth: {
+  //   providers: [
+  //     { id: "google", name: "Google", authorizeUrl: "https://accounts.google.com/o/oauth2/v2/auth", clientId: "", scope: "openid email profile" },
+  //   ],
+  // },
+  // passwordPolicy: { minLength: 8, minClasses: 0, rejectCommon: true, rejectNumeric: true, maxSimilarity: 0.7 }, // match the backend's validators
+  // tenant: {
+  //   header: "X-Tenant-ID",
+  //   default: "main",
+  //   branding: { main: { name: "BuzCart", logo: "/images/logo.svg", primary: "#fe2c55" } },
+  // },
+};
@@ -1,102 +1,377 @@
 import axios from "axios";
+import config from "./config";
+import { decodeJwt, isTokenExpired, tokenExpiresAt } from "./utils/jwt";
+import { createTokenStore } from "./utils/tokenStorage";
+import { ApiError, RETRYABLE_STATUSES, parseRetryAfter } from "./utils/errors";
+import { getTenant, setTenant } from "./utils/tenant";
+import { emitAuthEvent, AUTH_EXPIRED } from "./utils/authEvents";
+import {
+  publishSession,
+  onSessionChange,
+  withSessionLock,
+  SESSION_LOGIN,
+  SESSION_LOGOUT,
+  SESSION_REFRESH,
+} from "./utils/sessionBus";
 
-const API_BASE = (process.env.REACT_APP_API_BASE || "").replace(/\/+$/, "");
+const API_BASE = config.apiBase;
+const { user: BASIC_USER, pass: BASIC_PASS } = config.basicAuth;
 
-let isRefreshing = false;
-let refreshPromise = null;
-const subscribers = [];
-
-function onRefreshed(newAccess) {
-  subscribers.forEach((cb) => cb(newAccess));
-  subscribers.length = 0;
-}
-function addSubscriber(cb) {
-  subscribers.push(cb);
-}
-
-// Simple localStorage token store
-export const tokenStore = {
-  get access() {
-    return localStorage.getItem("access");
-  },
-  set access(v) {
-    if (v) localStorage.setItem("access", v);
-    else localStorage.removeItem("access");
-  },
-  get refresh() {
-    return localStorage.getItem("refresh");
-  },
-  set refresh(v) {
-    if (v) localStorage.setItem("refresh", v);
-    else localStorage.removeItem("refresh");
-  },
-  clear() {
-    this.access = null;
-    this.refresh = null;
-  },
-};
+const SAFE_METHODS = ["get", "head", "options"];
+const TENANT_HEADER = config.tenant.header;
+
+// Backend chosen by config.auth.tokenStorage (local | session | memory | cookie)
+export const tokenStore = createTokenStore(config.auth.tokenStorage);
+
+function getCsrfToken() {
+  const m = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+function csrfHeader() {
+  const csrf = getCsrfToken();
+  return csrf ? { "X-CSRFTOKEN": csrf } : {};
+}
+
+function tenantHeader() {
+  const tenant = getTenant();
+  return tenant ? { [TENANT_HEADER]: tenant } : {};
+}
+
+// The signed-in user's tenant wins over the storefront default.
+// Cookie mode has no readable claims; AuthProvider syncs it from the profile.
+function syncTenant() {
+  if (!tokenStore.cookieMode) setTenant(decodeJwt(tokenStore.access)?.tenant_id);
+}
 
 const api = axios.create({
   baseURL: API_BASE,
   headers: { Accept: "application/json" },
+  withCredentials: true,
 });
 
-// Attach Authorization header
-api.interceptors.request.use((config) => {
+/* ===========================
+   Token refresh
+   Access tokens are refreshed shortly before `exp` (timer + a check before
+   each request) and, as a fallback, after a 401. All callers share a single
+   in-flight refresh: they all get the new token, or they all get the error.
+   A refresh token that is expired or rejected ends the session and emits
+   AUTH_EXPIRED. Refreshes are serialized across tabs (see sessionBus) so a
+   rotated refresh token is only ever spent once.
+=========================== */
+const REFRESH_SKEW_MS = 60_000; // refresh this long before the access token expires
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout overflows beyond ~24.8 days
+const MAX_AUTH_RETRIES = 1; // replays of one request after a 401
+
+let refreshTimer = null;
+let refreshPromise = null;
+
+function clearSession() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  tokenStore.clear();
+  setTenant(null);
+}
+
+// Store tokens from a fresh login and tell the other tabs.
+// `remember: false` keeps them out of persistent storage (local mode only).
+export function startSession({ access, refresh, remember = true }) {
+  tokenStore.remember(remember);
+  tokenStore.access = access;
+  tokenStore.refresh = refresh;
+  tokenStore.markSession(true);
+  syncTenant();
+  scheduleTokenRefresh();
+  publishSession(SESSION_LOGIN);
+}
+
+// User-initiated logout, in every tab
+export function endSession() {
+  clearSession();
+  publishSession(SESSION_LOGOUT);
+}
+
+// Session ended without the user asking (expired refresh token, idle timeout)
+export function expireSession(reason) {
+  const hadSession = tokenStore.hasSession;
+  clearSession();
+  if (!hadSession) return;
+  emitAuthEvent(AUTH_EXPIRED, { reason });
+  publishSession(SESSION_LOGOUT, { reason });
+}
+
+function hasUsableRefreshToken() {
+  // httpOnly cookie: only the server can tell, so let it try
+  if (tokenStore.cookieMode) return tokenStore.hasSession;
+  const refresh = tokenStore.refresh;
+  return !!refresh && !isTokenExpired(refresh);
+}
+
+async function requestNewAccessToken() {
+  if (!hasUsableRefreshToken()) {
+    expireSession("refresh_expired");
+    throw new Error("Session expired");
+  }
+
+  let r;
+  try {
+    r = await axios.post(
+      `${API_BASE}/api/auths/token/refresh/`,
+      // Cookie mode: the refresh token travels as a cookie and comes back as one
+      tokenStore.cookieMode ? {} : { refresh: tokenStore.refresh },
+      {
+        headers: { "Content-Type": "application/json", ...csrfHeader(), ...tenantHeader() },
+        withCredentials: true,
+      }
+    );
+  } catch (e) {
+    // 400/401: the refresh token itself is invalid or blacklisted.
+    // Anything else (offline, 5xx) keeps the session for a later attempt.
+    const status = e?.response?.status;
+    if (status === 400 || status === 401) expireSession("refresh_rejected");
+    throw e;
+  }
+
+  if (tokenStore.cookieMode) {
+    publishSession(SESSION_REFRESH);
+    return null;
+  }
+
+  const newAccess = r.data?.access;
+  if (!newAccess) throw new Error("No access token in refresh response");
+  tokenStore.access = newAccess;
+  // Refresh-token rotation: the old refresh token is blacklisted server-side
+  if (r.data?.refresh) tokenStore.refresh = r.data.refresh;
+  syncTenant();
+  scheduleTokenRefresh();
+  publishSession(SESSION_REFRESH);
+  return newAccess;
+}
+
+// Single-flight: concurrent callers share one POST /token/refresh/
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    const stale = tokenStore.access;
+    refreshPromise = withSessionLock(() => {
+      // Another tab refreshed while we waited for the lock – reuse its token
+      const current = tokenStore.access;
+      if (current && current !== stale && !isTokenExpired(current, REFRESH_SKEW_MS)) {
+        scheduleTokenRefresh();
+        return current;
+      }
+      return requestNewAccessToken();
+    }).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+// (Re)arm the proactive refresh timer for the current access token
+export function scheduleTokenRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+
+  const expiresAt = tokenExpiresAt(tokenStore.access);
+  if (!expiresAt || !tokenStore.refresh) return;
+
+  const delay = Math.min(MAX_TIMER_MS, Math.max(0, expiresAt - Date.now() - REFRESH_SKEW_MS));
+  refreshTimer = setTimeout(() => {
+    refreshAccessToken().catch(() => {});
+  }, delay);
+}
+
+// Attach tenant, Authorization (JWT, or Basic in dev) and CSRF headers
+api.interceptors.request.use(async (config) => {
+  // About to expire: refresh first rather than waiting for the 401
+  if (!config.skipAuthRefresh && tokenStore.access && isTokenExpired(tokenStore.access, REFRESH_SKEW_MS)) {
+    await refreshAccessToken().catch(() => {});
+  }
+
+  const tenant = getTenant();
+  if (tenant) config.headers[TENANT_HEADER] = tenant;
+
   const token = tokenStore.access;
   if (token) config.headers.Authorization = `Bearer ${token}`;
+  else if (BASIC_USER && BASIC_PASS)
+    config.headers.Authorization = `Basic ${btoa(`${BASIC_USER}:${BASIC_PASS}`)}`;
+
+  const method = (config.method || "get").toLowerCase();
+  if (!SAFE_METHODS.includes(method)) {
+    const csrf = getCsrfToken();
+    if (csrf) config.headers["X-CSRFTOKEN"] = csrf;
+  }
   return config;
 });
 
-// Auto refresh on 401 and retry original request
+// Auto refresh on 401 and replay the original request (at most MAX_AUTH_RETRIES times)
 api.interceptors.response.use(
   (res) => res,
   async (error) => {
-    const original = error.config || {};
+    const original = error.config;
     const status = error?.response?.status;
+    if (status !== 401 || !original || original.skipAuthRefresh) return Promise.reject(error);
 
-    if (status === 401 && !original.__isRetryRequest) {
-      const refresh = tokenStore.refresh;
-      if (!refresh) {
-        tokenStore.clear();
-        return Promise.reject(error);
-      }
-
-      if (!isRefreshing) {
-        isRefreshing = true;
-        original.__isRetryRequest = true;
-
-        refreshPromise = axios
-          .post(`${API_BASE}/api/auths/token/refresh/`, { refresh }, { headers: { "Content-Type": "application/json" } })
-          .then((r) => {
-            const newAccess = r.data?.access;
-            if (!newAccess) throw new Error("No access token in refresh response");
-            tokenStore.access = newAccess;
-            onRefreshed(newAccess);
-            return newAccess;
-          })
-          .catch((e) => {
-            tokenStore.clear();
-            throw e;
-          })
-          .finally(() => {
-            isRefreshing = false;
-            refreshPromise = null;
-          });
-      }
+    const attempts = original.__authRetries || 0;
+    if (attempts >= MAX_AUTH_RETRIES) return Promise.reject(error);
 
-      // Queue until refresh finishes
-      return new Promise((resolve, reject) => {
-        addSubscriber((newAccess) => {
-          original.headers = { ...(original.headers || {}), Authorization: `Bearer ${newAccess}` };
-          resolve(api(original));
-        });
-        if (refreshPromise) refreshPromise.catch(reject);
-      });
+    if (!hasUsableRefreshToken()) {
+      expireSession("refresh_expired");
+      return Promise.reject(error);
     }
+    original.__authRetries = attempts + 1;
 
-    return Promise.reject(error);
+    // Another request may have refreshed while this one was in flight
+    const sent = original.headers?.Authorization;
+    const current = tokenStore.access;
+    if (!current || sent === `Bearer ${current}`) await refreshAccessToken();
+
+    // The request interceptor attaches the new token
+    return api(original);
   }
 );
 
+// Tokens live in shared storage; other tabs only tell us to re-read them
+onSessionChange(({ type, detail, remote }) => {
+  if (!remote) return;
+  if (type === SESSION_LOGOUT) {
+    clearSession();
+    if (detail?.reason) emitAuthEvent(AUTH_EXPIRED, detail);
+  } else {
+    syncTenant();
+    scheduleTokenRefresh();
+  }
+});
+
+// Pick up tokens persisted by a previous visit
+if (typeof window !== "undefined") {
+  syncTenant();
+  scheduleTokenRefresh();
+}
+
+/* ===========================
+   Retry with exponential backoff
+   Idempotent requests are retried on network errors and RETRYABLE_STATUSES (utils/errors),
+   honoring Retry-After. Opt out per request with `{ retry: false }` or tune
+   it with `{ retry: { retries: 1 } }`.
+=========================== */
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+function retryPolicy(cfg) {
+  if (!cfg || cfg.retry === false) return null;
+  return { ...config.retry, ...(typeof cfg.retry === "object" ? cfg.retry : {}) };
+}
+
+function isRetryable(error) {
+  if (axios.isCancel(error) || !error.config) return false;
+  const method = (error.config.method || "get").toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  if (!error.response) return true; // network error / timeout
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// "Full jitter": random delay in [0, min(maxDelay, baseDelay * 2^attempt)]
+function backoffMs(attempt, { baseDelay, maxDelay }) {
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+api.interceptors.response.use(undefined, async (error) => {
+  const original = error.config;
+  const policy = retryPolicy(original);
+  if (!policy || !isRetryable(error)) return Promise.reject(error);
+
+  const attempt = original.__retryAttempt || 0;
+  if (attempt >= policy.retries) return Promise.reject(error);
+
+  // A server asking us to wait longer than we are willing to is a failure
+  const wait = parseRetryAfter(error.response?.headers?.["retry-after"]) ?? backoffMs(attempt, policy);
+  if (wait > policy.maxDelay) return Promise.reject(error);
+
+  original.__retryAttempt = attempt + 1;
+  await sleep(wait, original.signal);
+  return api(original);
+});
+
+// Last in the chain: callers only ever see ApiError (or a cancellation)
+api.interceptors.response.use(undefined, (error) =>
+  Promise.reject(axios.isCancel(error) ? error : ApiError.from(error))
+);
+
+/* ===========================
+   In-flight GET deduplication
+   Identical GETs (same url + params) share one network request. Each caller
+   may pass its own `signal`; the shared request is only aborted once every
+   caller has gone away.
+=========================== */
+const inflight = new Map();
+
+// Tenant-scoped: a switch must never hand one storefront's response to another
+function requestKey(url, params) {
+  const scope = `${getTenant() ?? ""}|${url}`;
+  if (!params) return scope;
+  const sorted = Object.keys(params)
+    .sort()
+    .map((k) => [k, params[k]]);
+  return `${scope}?${JSON.stringify(sorted)}`;
+}
+
+export function dedupedGet(url, { signal, ...config } = {}) {
+  if (signal?.aborted) return Promise.reject(new axios.CanceledError());
+
+  const key = requestKey(url, config.params);
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, consumers: 0 };
+    entry.promise = api.get(url, { ...config, signal: controller.signal }).finally(() => {
+      if (inflight.get(key) === entry) inflight.delete(key);
+    });
+    inflight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.consumers += 1;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.consumers -= 1;
+      if (shared.consumers === 0) {
+        shared.controller.abort();
+        if (inflight.get(key) === shared) inflight.delete(key);
+      }
+      reject(new axios.CanceledError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    shared.promise.then(
+      (res) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(res);
+      },
+      (err) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+// True for errors caused by an aborted request (unmount, navigation)
+export const isCancel = axios.isCancel;
+
 export default api;
@@ -0,0 +1,109 @@
+import axios, { AxiosError } from "axios";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import api, { tokenStore } from "./apiClient";
+import { onAuthEvent, AUTH_EXPIRED } from "./utils/authEvents";
+
+const REFRESH_URL = "/api/auths/token/refresh/";
+
+// Unsigned JWT – the client only ever decodes the claims
+function jwt(claims) {
+  const b64 = (o) => btoa(JSON.stringify(o)).replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+  return `${b64({ alg: "none" })}.${b64(claims)}.`;
+}
+const inHours = (h) => Math.floor(Date.now() / 1000) + h * 3600;
+
+// One fake backend behind both `api` and the bare axios used for refreshes.
+// `routes.refresh()` and `routes.request(config)` return [status, data].
+function mockBackend(routes) {
+  const calls = { refresh: 0, request: 0 };
+  const adapter = async (config) => {
+    const isRefresh = config.url.endsWith(REFRESH_URL);
+    calls[isRefresh ? "refresh" : "request"]++;
+    const [status, data] = await (isRefresh ? routes.refresh() : routes.request(config));
+    const response = { status, statusText: String(status), data, headers: {}, config, request: {} };
+    if (status >= 400) throw new AxiosError(`Request failed with status code ${status}`, "ERR_BAD_REQUEST", config, {}, response);
+    return response;
+  };
+  axios.defaults.adapter = adapter;
+  api.defaults.adapter = adapter;
+  return calls;
+}
+
+const later = (value, ms = 20) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+const authorized = (config, token) => config.headers.Authorization === `Bearer ${token}`;
+
+describe("401 handling and token refresh", () => {
+  const defaultAdapter = axios.defaults.adapter;
+  let expired;
+  let stopListening;
+
+  beforeEach(() => {
+    localStorage.clear();
+    tokenStore.access = "old-access"; // no `exp`: never refreshed ahead of time
+    tokenStore.refresh = jwt({ exp: inHours(1) });
+    expired = [];
+    stopListening = onAuthEvent(AUTH_EXPIRED, (detail) => expired.push(detail.reason));
+  });
+
+  afterEach(() => {
+    stopListening();
+    axios.defaults.adapter = defaultAdapter;
+    api.defaults.adapter = defaultAdapter;
+  });
+
+  it("shares one refresh between concurrent 401s and replays each request", async () => {
+    const calls = mockBackend({
+      refresh: () => later([200, { access: "new-access" }]),
+      request: (config) => (authorized(config, "new-access") ? [200, { url: config.url }] : [401, {}]),
+    });
+
+    const results = await Promise.all(["/a/", "/b/", "/c/"].map((url) => api.get(url)));
+
+    expect(results.map((r) => r.data.url)).toEqual(["/a/", "/b/", "/c/"]);
+    expect(calls.refresh).toBe(1);
+    expect(calls.request).toBe(6);
+    expect(tokenStore.access).toBe("new-access");
+  });
+
+  it("rejects every waiting request when the refresh fails", async () => {
+    const calls = mockBackend({
+      refresh: () => later([401, { detail: "Token is blacklisted" }]),
+      request: () => [401, {}],
+    });
+
+    const results = await Promise.allSettled(["/a/", "/b/", "/c/"].map((url) => api.get(url)));
+
+    expect(results.map((r) => r.status)).toEqual(["rejected", "rejected", "rejected"]);
+    expect(calls.refresh).toBe(1);
+    expect(calls.request).toBe(3);
+  });
+
+  it("replays a request at most MAX_AUTH_RETRIES times", async () => {
+    const calls = mockBackend({
+      refresh: () => [200, { access: "new-access" }],
+      request: () => [401, {}],
+    });
+
+    await expect(api.get("/a/")).rejects.toMatchObject({ response: { status: 401 } });
+    expect(calls.request).toBe(2);
+    expect(calls.refresh).toBe(1);
+  });
+
+  it("emits auth:expired when the server rejects the refresh token", async () => {
+    mockBackend({ refresh: () => [401, {}], request: () => [401, {}] });
+
+    await expect(api.get("/a/")).rejects.toBeTruthy();
+    expect(expired).toEqual(["refresh_rejected"]);
+    expect(tokenStore.refresh).toBeNull();
+  });
+
+  it("emits auth:expired without calling the server when the refresh token has expired", async () => {
+    tokenStore.refresh = jwt({ exp: inHours(-1) });
+    const calls = mockBackend({ refresh: () => [200, { access: "new-access" }], request: () => [401, {}] });
+
+    await expect(api.get("/a/")).rejects.toBeTruthy();
+    expect(expired).toEqual(["refresh_expired"]);
+    expect(calls.refresh).toBe(0);
+    expect(tokenStore.refresh).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { addToCart, commerceKeys } from "../services/CommerceService";
+import useAuth from "../hooks/useAuth";
+import { invalidateQueries } from "../utils/queryCache";
+import { apiErrorMessage, firstError } from "../utils/errors";
+
+const STATUS_MS = 1800;
+
+// Quantity stepper + "Add to cart" for product cards, quick view and the
+// product page. Signed-out users are sent to log in first.
+export default function AddToCart({ product }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated } = useAuth();
+
+  const max = Number.isFinite(Number(product.quantity)) ? Number(product.quantity) : Infinity;
+  const inStock = !!product.in_stock && max > 0;
+
+  const [qty, setQty] = useState(1); // the raw text while typing, clamped on blur/add
+  const [adding, setAdding] = useState(false);
+  const [status, setStatus] = useState(null); // { ok, text }
+
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+  const flash = (next) => {
+    clearTimeout(timer.current);
+    setStatus(next);
+    timer.current = setTimeout(() => setStatus(null), STATUS_MS);
+  };
+
+  const clamp = (n) => Math.max(1, Math.min(Number(n) || 1, max));
+
+  const onAdd = async () => {
+    if (!isAuthenticated) {
+      navigate("/login", { state: { from: location } }); // come back here after login
+      return;
+    }
+    setAdding(true);
+    try {
+      await addToCart({ product: product.id, quantity: clamp(qty) });
+      invalidateQueries(commerceKeys.cart);
+      flash({ ok: true, text: "Added to cart ✅" });
+      setQty(1);
+    } catch (e) {
+      flash({ ok: false, text: firstError(e?.fieldErrors, "quantity") || apiErrorMessage(e, "Failed to add to cart.") });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="add-to-cart">
+      <div className="card-qty">
+        <button
+          type="button"
+          onClick={() => setQty((q) => clamp(Number(q) - 1))}
+          disabled={!inStock || Number(qty) <= 1}
+          aria-label="Decrease quantity"
+        >
+          −
+        </button>
+        <input
+          type="number"
+          min={1}
+          max={Number.isFinite(max) ? max : undefined}
+          value={qty}
+          onChange={(e) => setQty(e.target.value)}
+          onBlur={() => setQty(clamp(qty))}
+          disabled={!inStock}
+          aria-label={`Quantity of ${product.name}`}
+        />
+        <button
+          type="button"
+          onClick={() => setQty((q) => clamp(Number(q) + 1))}
+          disabled={!inStock || Number(qty) >= max}
+          aria-label="Increase quantity"
+        >
+          ＋
+        </button>
+      </div>
+      <button
+        type="button"
+        className={`btn ${inStock ? "btn-cart" : "btn-disabled"}`}
+        onClick={onAdd}
+        disabled={!inStock || adding}
+        title={inStock ? "Add to cart" : "Out of stock"}
+      >
+        {adding ? "Adding…" : inStock ? "Add to cart" : "Out of stock"}
+      </button>
+      {status && (
+        <p className={`add-status ${status.ok ? "ok" : "err"}`} role="status" aria-live="polite">
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+// Shown instead of the app when the runtime configuration is unusable
+export default function ConfigError({ errors = [] }) {
+  return (
+    <section className="auth-card auth-wrap" role="alert">
+      <h2 className="text-2xl font-semibold mb-2">BuzCart is misconfigured</h2>
+      <p className="lead">
+        The app cannot start until these settings are fixed in
+        <code> runtime-config.js</code> or the <code>VITE_*</code> build variables:
+      </p>
+      <ul className="mt-3" style={{ paddingLeft: "1.2rem", color: "var(--bc-danger, #ef4444)" }}>
+        {errors.map((e) => (
+          <li key={e}>{e}</li>
+        ))}
+      </ul>
+    </section>
+  );
+}
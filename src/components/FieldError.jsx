@@ -0,0 +1,8 @@
+import { firstError } from "../utils/errors";
+
+// First server/validation message for `name`, shown under its input
+export default function FieldError({ errors, name }) {
+  const msg = firstError(errors, name);
+  if (!msg) return null;
+  return <p className="mt-1 text-xs" style={{ color: "var(--bc-danger, #ef4444)" }}>{msg}</p>;
+}
@@ -1,8 +1,11 @@
+import useTenant from "../hooks/useTenant";
+
 export default function Footer() {
+    const { branding } = useTenant();
     return (
       <footer>
         <div className="footer-inner">
-          <span>© {new Date().getFullYear()} BuzCart · All rights reserved.</span>
+          <span>© {new Date().getFullYear()} {branding.name} · All rights reserved.</span>
           {/* <a href="/terms">Terms</a>
           <span>•</span>
           <a href="/privacy">Privacy</a> */}
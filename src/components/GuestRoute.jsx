@@ -0,0 +1,13 @@
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import { returnPath } from "../utils/redirect";
+
+// Pages only for signed-out users (/login, /register): signed-in users
+// continue to where they were headed, or home.
+export default function GuestRoute({ children }) {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+  if (isAuthenticated) return <Navigate to={returnPath(location.state)} replace />;
+  return children ?? <Outlet />;
+}
@@ -0,0 +1,12 @@
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `text` with every word of `query` wrapped in <mark> (case-insensitive)
+export default function Highlight({ text, query }) {
+  const str = String(text ?? "");
+  const words = String(query ?? "").trim().split(/\s+/).filter(Boolean);
+  if (!str || !words.length) return str;
+
+  // Longest first, so "shoes" wins over "shoe"; the capture group keeps matches in split()
+  const pattern = new RegExp(`(${words.sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})`, "gi");
+  return str.split(pattern).map((part, i) => (i % 2 ? <mark key={i} className="hl">{part}</mark> : part));
+}
@@ -0,0 +1,39 @@
+import { useEffect, useRef } from "react";
+
+// Countdown shown before an idle sign-out (see useIdleTimer in AuthProvider)
+export default function IdleWarningModal({ remaining, onStay, onLogout }) {
+  const stayRef = useRef(null);
+
+  useEffect(() => {
+    stayRef.current?.focus();
+  }, []);
+
+  const mins = Math.floor(remaining / 60);
+  const secs = String(remaining % 60).padStart(2, "0");
+
+  return (
+    <div className="modal-backdrop">
+      <div
+        className="modal surface"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="idle-title"
+        aria-describedby="idle-desc"
+      >
+        <h2 id="idle-title" style={{ fontSize: "1.25rem", fontWeight: 700 }}>Still there?</h2>
+        <p id="idle-desc" style={{ marginTop: "0.5rem", color: "var(--bc-text-muted)" }}>
+          You've been inactive for a while. For your security you'll be signed out in{" "}
+          <strong aria-live="polite">{mins}:{secs}</strong>.
+        </p>
+        <div className="modal-actions">
+          <button className="btn btn-outline" onClick={onLogout}>
+            Sign out now
+          </button>
+          <button ref={stayRef} className="btn btn-primary" onClick={onStay}>
+            Stay signed in
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { authKeys, getLinkedProviders, unlinkProvider } from "../services/AuthService";
+import useQuery from "../hooks/useQuery";
+import { setQueryData } from "../utils/queryCache";
+import { beginOAuth, oauthProviders } from "../utils/oauth";
+import { ApiError } from "../utils/errors";
+
+/* ===========================
+   Profile card: link / unlink social sign-in providers
+   Linking leaves the app and finishes in pages/AuthCallback.
+=========================== */
+export default function LinkedAccounts({ linked: justLinked }) {
+  const providers = oauthProviders();
+  const { data: links, error: linksError, loading } = useQuery(authKeys.oauth, getLinkedProviders, {
+    enabled: providers.length > 0,
+  });
+  const [busy, setBusy] = useState(null); // provider id
+  const [error, setError] = useState("");
+
+  if (!providers.length) return null;
+
+  const linkFor = (id) => (links || []).find((l) => l.provider === id);
+
+  const onLink = async (id) => {
+    setBusy(id);
+    setError("");
+    try {
+      await beginOAuth(id, { intent: "link", returnTo: "/profile" });
+    } catch (err) {
+      setError(err.message);
+      setBusy(null);
+    }
+  };
+
+  const onUnlink = async (id) => {
+    setBusy(id);
+    setError("");
+    try {
+      await unlinkProvider(id);
+      setQueryData(authKeys.oauth, (list = []) => list.filter((l) => l.provider !== id));
+    } catch (err) {
+      // e.g. the last way to sign in – set a password first
+      setError(ApiError.from(err).message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="surface pf-card">
+      <h2 className="pf-section-title">Linked accounts</h2>
+      {loading && <p className="text-muted">Loading…</p>}
+      {linksError && !links && <p className="text-muted">Linked accounts are unavailable right now.</p>}
+
+      {links && (
+        <div className="pf-form">
+          {providers.map((p) => {
+            const link = linkFor(p.id);
+            return (
+              <div key={p.id} className="pf-inline" style={{ justifyContent: "space-between" }}>
+                <div>
+                  <div>{p.name || p.id}</div>
+                  <div className="text-muted">
+                    {link ? link.email || "Connected" : "Not connected"}
+                    {justLinked === p.id && " · just linked"}
+                  </div>
+                </div>
+                {link ? (
+                  <button className="btn btn-muted-tk" type="button" onClick={() => onUnlink(p.id)} disabled={!!busy}>
+                    {busy === p.id ? "Unlinking..." : "Unlink"}
+                  </button>
+                ) : (
+                  <button className="btn btn-outline-tk" type="button" onClick={() => onLink(p.id)} disabled={!!busy}>
+                    {busy === p.id ? "Redirecting..." : "Link"}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-1 text-xs" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
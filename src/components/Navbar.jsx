@@ -1,60 +1,16 @@
-import { Link, NavLink, useNavigate } from "react-router-dom";
-import { useEffect, useRef, useState } from "react";
+import { Link, NavLink, useLocation, useNavigate } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import useCan from "../hooks/useCan";
+import useTenant from "../hooks/useTenant";
+import UnverifiedBanner from "./UnverifiedBanner";
+import SearchBox from "./SearchBox";
 
 const linkClass = ({ isActive }) => `nav-link ${isActive ? "active" : ""}`;
 
-// --------- ENV & defaults ---------
-const MEDIA_BASE =
-  (import.meta.env?.VITE_MEDIA_BASE ||
-    import.meta.env?.VITE_API_BASE ||
-    window.location.origin || "http://localhost:8001").replace(/\/+$/, "");
-
+// --------- defaults ---------
 const DEFAULT_AVATAR = "/images/default-avatar.png"; // put a file in /public/images/default-avatar.png
 
 // ---------- helpers ----------
-function safeB64UrlToJson(b64url) {
-  try {
-    const padLen = (4 - (b64url.length % 4)) % 4;
-    const b64 = (b64url + "=".repeat(padLen)).replace(/-/g, "+").replace(/_/g, "/");
-    return JSON.parse(atob(b64));
-  } catch {
-    return null;
-  }
-}
-
-function decodeJwt(token) {
-  if (!token) return null;
-  const parts = token.split(".");
-  if (parts.length < 2) return null;
-  return safeB64UrlToJson(parts[1]);
-}
-
-function getUsername(claims) {
-  if (!claims) return "";
-  return (
-    claims?.username ||
-    claims?.preferred_username ||
-    claims?.email ||
-    claims?.name ||
-    claims?.sub ||
-    ""
-  );
-}
-
-function getRawAvatar(claims) {
-  if (!claims) return "";
-  return claims.avatar || claims.avatar_url || claims.picture || claims.image || "";
-}
-
-// Prefix domain/base path when token only provides a relative path
-function normalizeAvatarUrl(raw) {
-  if (!raw) return "";
-  if (/^https?:\/\//i.test(raw)) return raw;        // absolute
-  if (raw.startsWith("//")) return window.location.protocol + raw; // protocol-relative
-  if (raw.startsWith("/")) return `${MEDIA_BASE}${raw}`;           // root-relative
-  return `${MEDIA_BASE}/${raw}`;                                   // bare path
-}
-
 function initialsFrom(name = "") {
   const parts = String(name).trim().split(/\s+/);
   const first = parts[0]?.[0] || "";
@@ -64,63 +20,30 @@ function initialsFrom(name = "") {
 
 export default function Navbar() {
   const navigate = useNavigate();
-  const [isLoggedIn, setIsLoggedIn] = useState(!!localStorage.getItem("access"));
-  const [username, setUsername] = useState("");
-  const [avatar, setAvatar] = useState("");
-  const lastTokenRef = useRef(localStorage.getItem("access"));
-
-  function recomputeFromToken(token) {
-    setIsLoggedIn(!!token);
-    if (!token) {
-      setUsername("");
-      setAvatar("");
-      return;
-    }
-    const claims = decodeJwt(token);
-    setUsername(getUsername(claims));
-    const raw = getRawAvatar(claims);
-    setAvatar(normalizeAvatarUrl(raw));
-  }
-
-  // init
-  useEffect(() => {
-    recomputeFromToken(localStorage.getItem("access") || null);
-  }, []);
-
-  // cross-tab updates
-  useEffect(() => {
-    const onStorage = (e) => {
-      if (e.key === "access") {
-        lastTokenRef.current = e.newValue;
-        recomputeFromToken(e.newValue);
-      }
-    };
-    window.addEventListener("storage", onStorage);
-    return () => window.removeEventListener("storage", onStorage);
-  }, []);
-
-  // same-tab polling (only when value changes)
-  useEffect(() => {
-    const id = setInterval(() => {
-      const token = localStorage.getItem("access");
-      if (token !== lastTokenRef.current) {
-        lastTokenRef.current = token;
-        recomputeFromToken(token);
-      }
-    }, 800);
-    return () => clearInterval(id);
-  }, []);
+  const location = useLocation();
+  const { isAuthenticated: isLoggedIn, user, logout } = useAuth();
+  const canUpload = useCan("post:create");
+  const { branding } = useTenant();
+  const username = user?.username || "";
+  const avatar = user?.avatar || "";
 
   const handleLogout = () => {
-    localStorage.removeItem("access");
-    localStorage.removeItem("refresh");
-    lastTokenRef.current = null;
-    setIsLoggedIn(false);
-    setUsername("");
-    setAvatar("");
+    logout();
     navigate("/login");
   };
 
+  // On /products the box mirrors (and keeps) the page's own query string
+  const onProducts = location.pathname === "/products";
+  const currentSearch = onProducts ? new URLSearchParams(location.search).get("search") || "" : "";
+  const handleSearch = (q) => {
+    const params = new URLSearchParams(onProducts ? location.search : "");
+    params.delete("page");
+    if (q) params.set("search", q);
+    else params.delete("search");
+    const qs = params.toString();
+    navigate(`/products${qs ? `?${qs}` : ""}`);
+  };
+
   // --- Upload CTA (pill) ---
   const UploadCta = (
     <NavLink
@@ -213,9 +136,18 @@ export default function Navbar() {
       <div className="navbar-inner">
         {/* Brand / Logo */}
         <Link to="/" className="brand">
-          Buz<span style={{ color: "var(--bc-primary)" }}>Cart</span>
+          {branding.logo && (
+            <img src={branding.logo} alt="" style={{ height: 28, marginRight: 8, verticalAlign: "middle" }} />
+          )}
+          {branding.name === "BuzCart" ? (
+            <>Buz<span style={{ color: "var(--bc-primary)" }}>Cart</span></>
+          ) : (
+            branding.name
+          )}
         </Link>
 
+        <SearchBox value={currentSearch} onSubmit={handleSearch} className="navbar-search" />
+
         <nav className="nav-links">
           {isLoggedIn ? (
             <>
@@ -224,7 +156,7 @@ export default function Navbar() {
               <NavLink to="/orders" className={linkClass}>Orders</NavLink>
 
               {/* NEW: Upload CTA (keep it prominent, before profile) */}
-              {UploadCta}
+              {canUpload && UploadCta}
 
               {ProfileChip}
 
@@ -244,6 +176,7 @@ export default function Navbar() {
           )}
         </nav>
       </div>
+      <UnverifiedBanner />
     </header>
   );
 }
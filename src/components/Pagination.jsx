@@ -0,0 +1,44 @@
+// Page numbers around the current one, with gaps: 1 … 4 5 [6] 7 8 … 20
+function pageRange(page, totalPages, siblings = 2) {
+  const pages = [];
+  for (let n = 1; n <= totalPages; n++) {
+    if (n === 1 || n === totalPages || Math.abs(n - page) <= siblings) pages.push(n);
+    else if (pages[pages.length - 1] !== "…") pages.push("…");
+  }
+  return pages;
+}
+
+// Numbered pager; `onChange(n)` with 1-based page numbers. With no
+// `totalPages` (unknown) it shows Prev/Next only, Next enabled by `hasNext`.
+export default function Pagination({ page, totalPages = null, hasNext = page < totalPages, onChange }) {
+  return (
+    <nav className="pagination" aria-label="Pagination">
+      <button type="button" className="btn btn-view" onClick={() => onChange(page - 1)} disabled={page <= 1}>
+        ‹ Prev
+      </button>
+      {!totalPages && (
+        <span className="pagination-page" aria-current="page">
+          Page {page}
+        </span>
+      )}
+      {!!totalPages && pageRange(page, totalPages).map((n, i) =>
+        n === "…" ? (
+          <span key={`gap-${i}`} className="pagination-gap">…</span>
+        ) : (
+          <button
+            key={n}
+            type="button"
+            className={`btn btn-view ${n === page ? "is-current" : ""}`}
+            aria-current={n === page ? "page" : undefined}
+            onClick={() => onChange(n)}
+          >
+            {n}
+          </button>
+        )
+      )}
+      <button type="button" className="btn btn-view" onClick={() => onChange(page + 1)} disabled={!hasNext}>
+        Next ›
+      </button>
+    </nav>
+  );
+}
@@ -0,0 +1,28 @@
+import { passwordStrength } from "../utils/passwordPolicy";
+
+// Live strength bar plus the policy rules the password still breaks.
+// `user` is what it mustn't resemble: { username, email, first_name, last_name }.
+export default function PasswordStrengthMeter({ password, user }) {
+  if (!password) return null;
+  const { score, label, errors } = passwordStrength(password, user);
+
+  return (
+    <div>
+      <div className="pw-meter" data-score={score} aria-hidden="true">
+        {[1, 2, 3, 4].map((n) => (
+          <span key={n} className={n <= score ? "on" : ""} />
+        ))}
+      </div>
+      <div className="pw-rules" aria-live="polite">
+        Strength: {label}
+        {errors.length > 0 && (
+          <ul>
+            {errors.map((msg) => (
+              <li key={msg}>{msg}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useEffect, useState } from "react";
+import { formatMoney } from "../config";
+import { ADDED_WITHIN_DAYS, activeFilters, hasFilters } from "../utils/productFilters";
+
+const ADDED_LABELS = { 1: "Last 24 hours", 7: "Last 7 days", 30: "Last 30 days", 90: "Last 90 days" };
+
+const priceText = (n) => (n === null ? "" : String(n));
+const priceValue = (s) => (s.trim() === "" || !(Number(s) >= 0) ? null : Number(s));
+
+/**
+ * Filter sidebar for Products. `filters` has the utils/productFilters shape;
+ * every change goes through `onChange(nextFilters)`. `sellers` lists the
+ * choices ({ value, count? }) – selected sellers are always offered.
+ */
+export default function ProductFilters({ filters, sellers = [], onChange }) {
+  // Prices apply on submit, not on every keystroke
+  const [minPrice, setMinPrice] = useState(priceText(filters.minPrice));
+  const [maxPrice, setMaxPrice] = useState(priceText(filters.maxPrice));
+  useEffect(() => {
+    setMinPrice(priceText(filters.minPrice));
+    setMaxPrice(priceText(filters.maxPrice));
+  }, [filters.minPrice, filters.maxPrice]);
+
+  const min = priceValue(minPrice);
+  const max = priceValue(maxPrice);
+  const priceInvalid = min !== null && max !== null && min > max;
+
+  const onPrice = (e) => {
+    e.preventDefault();
+    if (!priceInvalid) onChange({ ...filters, minPrice: min, maxPrice: max });
+  };
+
+  const sellerOptions = [...sellers];
+  filters.sellers.forEach((s) => {
+    if (!sellerOptions.some((o) => o.value === s)) sellerOptions.push({ value: s });
+  });
+
+  const toggleSeller = (s) =>
+    onChange({
+      ...filters,
+      sellers: filters.sellers.includes(s) ? filters.sellers.filter((x) => x !== s) : [...filters.sellers, s],
+    });
+
+  return (
+    <aside className="filters" aria-label="Filters">
+      <form className="filter-group" onSubmit={onPrice}>
+        <h3 className="filter-title">Price</h3>
+        <div className="filter-price">
+          <input
+            className="input"
+            type="number"
+            min="0"
+            step="any"
+            inputMode="decimal"
+            placeholder="Min"
+            aria-label="Minimum price"
+            value={minPrice}
+            onChange={(e) => setMinPrice(e.target.value)}
+          />
+          <span aria-hidden="true">–</span>
+          <input
+            className="input"
+            type="number"
+            min="0"
+            step="any"
+            inputMode="decimal"
+            placeholder="Max"
+            aria-label="Maximum price"
+            value={maxPrice}
+            onChange={(e) => setMaxPrice(e.target.value)}
+          />
+        </div>
+        {priceInvalid && <p className="filter-error">Min must not be above max.</p>}
+        <button type="submit" className="btn btn-view" disabled={priceInvalid}>
+          Apply
+        </button>
+      </form>
+
+      <div className="filter-group">
+        <h3 className="filter-title">Seller</h3>
+        {sellerOptions.length === 0 && <p className="filter-empty">No sellers to choose from.</p>}
+        {sellerOptions.map((o) => (
+          <label key={o.value} className="filter-option">
+            <input
+              type="checkbox"
+              checked={filters.sellers.includes(o.value)}
+              onChange={() => toggleSeller(o.value)}
+            />
+            <span>{o.value}</span>
+            {o.count !== undefined && <span className="filter-count">{o.count}</span>}
+          </label>
+        ))}
+      </div>
+
+      <div className="filter-group">
+        <h3 className="filter-title">Availability</h3>
+        <label className="filter-option">
+          <input
+            type="checkbox"
+            checked={filters.inStock}
+            onChange={(e) => onChange({ ...filters, inStock: e.target.checked })}
+          />
+          <span>In stock only</span>
+        </label>
+      </div>
+
+      <div className="filter-group">
+        <h3 className="filter-title">Date added</h3>
+        <select
+          className="select"
+          value={filters.addedWithin ?? ""}
+          onChange={(e) => onChange({ ...filters, addedWithin: e.target.value ? Number(e.target.value) : null })}
+        >
+          <option value="">Any time</option>
+          {ADDED_WITHIN_DAYS.map((d) => (
+            <option key={d} value={d}>{ADDED_LABELS[d]}</option>
+          ))}
+        </select>
+      </div>
+    </aside>
+  );
+}
+
+// One removable chip per active filter, plus "Clear all"
+export function FilterChips({ filters, onChange, onClear }) {
+  if (!hasFilters(filters)) return null;
+  return (
+    <div className="filter-chips">
+      {activeFilters(filters, formatMoney).map((chip) => (
+        <button
+          key={chip.key}
+          type="button"
+          className="chip"
+          onClick={() => onChange(chip.without)}
+          aria-label={`Remove filter: ${chip.label}`}
+        >
+          {chip.label} <span aria-hidden="true">×</span>
+        </button>
+      ))}
+      <button type="button" className="chip chip-clear" onClick={onClear}>
+        Clear all
+      </button>
+    </div>
+  );
+}
@@ -1,9 +1,13 @@
 import React from "react";
-import { Navigate } from "react-router-dom";
-import { useAuth } from "../context/AuthContext";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
 
+// Use as a layout route (renders <Outlet/>) or wrap a single element.
+// Signed-out users go to /login, which sends them back here afterwards.
 export default function ProtectedRoute({ children }) {
-  const { user, loading } = useAuth();
+  const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
   if (loading) return null; // or a loader
-  return user ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) return <Navigate to="/login" replace state={{ from: location }} />;
+  return children ?? <Outlet />;
 }
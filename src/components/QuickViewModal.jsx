@@ -0,0 +1,55 @@
+import { useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
+import { mediaUrl, formatMoney } from "../config";
+import AddToCart from "./AddToCart";
+
+// Product summary over the grid: image, full description and add-to-cart.
+// Closes on Escape, backdrop click or the × button and gives focus back.
+export default function QuickViewModal({ product, onClose }) {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    closeRef.current?.focus();
+    const onKey = (e) => e.key === "Escape" && onClose();
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      opener?.focus?.();
+    };
+  }, [onClose]);
+
+  const img = mediaUrl(product.image);
+
+  return (
+    <div className="modal-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal surface quick-view" role="dialog" aria-modal="true" aria-labelledby="qv-title">
+        <button ref={closeRef} type="button" className="quick-view-close" onClick={onClose} aria-label="Close">
+          ×
+        </button>
+
+        <div className="quick-view-media">
+          {img ? <img src={img} alt={product.name} /> : <div className="empty">No image</div>}
+        </div>
+
+        <div className="quick-view-info">
+          <h2 id="qv-title" className="quick-view-title">{product.name}</h2>
+          <div className="price">{formatMoney(product.price)}</div>
+          <div className="meta-line">
+            <span>Seller:</span> {product.seller || "—"}
+          </div>
+          <div className="meta-line">
+            <span>Stock:</span> {product.in_stock ? `${product.quantity} available` : "Out of stock"}
+          </div>
+          {product.description && <p className="quick-view-desc">{product.description}</p>}
+
+          <AddToCart product={product} />
+
+          <Link to={`/products/${product.id}`} className="quick-view-link">
+            View full details →
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import { Link, Outlet } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import { can, deniedMessage, hasRole } from "../utils/permissions";
+
+function Denied({ permission }) {
+  return (
+    <section className="auth-card auth-wrap">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Not available</h2>
+      <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+        {permission ? deniedMessage(permission) : "You don't have access to this page."}
+      </p>
+      <p className="text-center mt-4 text-sm">
+        <Link to="/" className="underline">Back to home</Link>
+      </p>
+    </section>
+  );
+}
+
+// Renders its content only for users with `permission` (or one of `roles`).
+// As a layout route it falls back to a page saying why; inline, pass
+// `fallback={null}` (or any element) to hide or replace the content.
+export default function RequireRole({ permission, roles: wanted, fallback, children }) {
+  const { roles, isAuthenticated, profile, profileError } = useAuth();
+
+  // Some roles depend on the profile (e.g. verified seller) – wait for it
+  if (isAuthenticated && profile === undefined && !profileError) return null;
+
+  const allowed = permission ? can(roles, permission) : hasRole(roles, wanted || []);
+  if (!allowed) return fallback !== undefined ? fallback : <Denied permission={permission} />;
+  return children ?? <Outlet />;
+}
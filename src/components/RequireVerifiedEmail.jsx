@@ -0,0 +1,29 @@
+import React from "react";
+import { Outlet } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import ResendVerification from "./ResendVerification";
+
+// Layout route for pages that need a confirmed email (e.g. Checkout)
+export default function RequireVerifiedEmail({ children }) {
+  const { user, isAuthenticated, profile, profileError } = useAuth();
+
+  // Verification is only known once the profile arrives – wait for it
+  if (isAuthenticated && profile === undefined && !profileError) return null;
+
+  if (user?.email_verified === false) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Confirm your email</h2>
+        <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+          We sent a confirmation link to <strong>{user.email || "your email address"}</strong>.
+          Confirm it to continue to checkout.
+        </p>
+        <p className="text-center mt-4 text-sm">
+          <ResendVerification />
+        </p>
+      </section>
+    );
+  }
+
+  return children ?? <Outlet />;
+}
@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { resendVerification } from "../services/AuthService";
+import useCountdown from "../hooks/useCountdown";
+import { ApiError } from "../utils/errors";
+
+const COOLDOWN = 60; // seconds between sends (or the server's Retry-After)
+
+// "Resend verification email" with a cooldown. `email` is needed when signed out.
+export default function ResendVerification({ email, className = "underline", style }) {
+  const [cooldown, startCooldown] = useCountdown();
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const onResend = async () => {
+    setSending(true);
+    setStatus("");
+    try {
+      await resendVerification({ email });
+      setStatus("Verification email sent.");
+      startCooldown(COOLDOWN);
+    } catch (err) {
+      const { status: code, retryAfter, message } = ApiError.from(err);
+      if (code === 429) {
+        setStatus("Please wait before requesting another email.");
+        startCooldown(retryAfter ?? COOLDOWN);
+      } else {
+        setStatus(message);
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <span>
+      <button
+        type="button"
+        className={className}
+        style={{ color: "var(--bc-primary)", ...style }}
+        onClick={onResend}
+        disabled={sending || cooldown > 0}
+      >
+        {sending ? "Sending…" : cooldown > 0 ? `Resend in ${cooldown}s` : "Resend verification email"}
+      </button>
+      {status && (
+        <span role="status" style={{ marginLeft: 8, color: "var(--bc-text-muted)" }}>
+          {status}
+        </span>
+      )}
+    </span>
+  );
+}
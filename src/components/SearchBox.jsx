@@ -0,0 +1,93 @@
+import { useEffect, useId, useRef, useState } from "react";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { addRecentSearch, clearRecentSearches, getRecentSearches } from "../utils/recentSearches";
+
+/**
+ * Product search input with recent searches as suggestions, which a
+ * "Clear recent" button (shown while the box has focus) forgets.
+ * `value` is the committed query (e.g. from the URL). `onChange(q)` fires
+ * `debounce` ms after typing stops (omit it to search only on Enter);
+ * `onSubmit(q)` fires on Enter.
+ */
+export default function SearchBox({ value = "", onChange, onSubmit, debounce = 300, placeholder = "Search products", className = "" }) {
+  const listId = useId();
+  const [text, setText] = useState(value);
+  const [recent, setRecent] = useState(getRecentSearches);
+  const [focused, setFocused] = useState(false);
+  const debounced = useDebouncedValue(text, debounce);
+
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  });
+
+  // Last query we reported – anything else arriving in `value` came from
+  // outside (back/forward, another search box) and replaces the text
+  const committed = useRef(value);
+  useEffect(() => {
+    if (value !== committed.current) {
+      committed.current = value;
+      setText(value);
+    }
+  }, [value]);
+
+  useEffect(() => {
+    const q = debounced.trim();
+    if (!onChangeRef.current || q === committed.current) return;
+    committed.current = q;
+    onChangeRef.current(q);
+  }, [debounced]);
+
+  const remember = () => setRecent(addRecentSearch(text));
+
+  const forget = () => {
+    clearRecentSearches();
+    setRecent([]);
+  };
+
+  // Focus moving between the input and the button stays "inside"
+  const onBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocused(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = text.trim();
+    committed.current = q;
+    remember();
+    (onSubmit || onChange)?.(q);
+  };
+
+  return (
+    <form
+      role="search"
+      className={`search-box ${className}`}
+      onSubmit={handleSubmit}
+      onFocus={() => setFocused(true)}
+      onBlur={onBlur}
+    >
+      <input
+        className="input"
+        type="search"
+        placeholder={placeholder}
+        aria-label={placeholder}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => text.trim() && remember()}
+        list={recent.length ? listId : undefined}
+        autoComplete="off"
+        enterKeyHint="search"
+      />
+      <datalist id={listId}>
+        {recent.map((q) => (
+          <option key={q} value={q} />
+        ))}
+      </datalist>
+      {focused && recent.length > 0 && (
+        <button type="button" className="search-clear-recent" onClick={forget}>
+          Clear recent
+        </button>
+      )}
+    </form>
+  );
+}
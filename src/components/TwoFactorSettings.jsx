@@ -0,0 +1,251 @@
+import { useState } from "react";
+import {
+  authKeys,
+  getMfaStatus,
+  beginMfaSetup,
+  confirmMfaSetup,
+  regenerateRecoveryCodes,
+  disableMfa,
+} from "../services/AuthService";
+import useQuery from "../hooks/useQuery";
+import { setQueryData } from "../utils/queryCache";
+import { ApiError } from "../utils/errors";
+
+// "JBSWY3DPEHPK3PXP" → "JBSW Y3DP EHPK 3PXP", easier to type by hand
+function groupSecret(secret = "") {
+  return secret.replace(/\s/g, "").replace(/(.{4})(?=.)/g, "$1 ");
+}
+
+/* ===========================
+   Profile card: enroll, recovery codes, disable
+   step: idle | setup | codes | regenerate | disable
+=========================== */
+export default function TwoFactorSettings() {
+  const { data: status, error: statusError, loading } = useQuery(authKeys.mfa, getMfaStatus);
+  const enabled = !!status?.enabled;
+
+  const [step, setStep] = useState("idle");
+  const [setup, setSetup] = useState(null); // { secret, otpauth_url, qr_code }
+  const [codes, setCodes] = useState([]);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const reset = (next = "idle") => {
+    setStep(next);
+    setCode("");
+    setPassword("");
+    setError("");
+  };
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+    } catch (err) {
+      const { fieldErrors, message } = ApiError.from(err);
+      setError(fieldErrors.code?.[0] || fieldErrors.password?.[0] || message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onStart = () =>
+    run(async () => {
+      setSetup(await beginMfaSetup());
+      reset("setup");
+    });
+
+  const onConfirm = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await confirmMfaSetup({ code: code.replace(/\s/g, "") });
+      setCodes(data?.recovery_codes || []);
+      setSetup(null);
+      setQueryData(authKeys.mfa, (s) => ({ ...s, enabled: true, recovery_codes_remaining: data?.recovery_codes?.length }));
+      reset("codes");
+    });
+  };
+
+  const onRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await regenerateRecoveryCodes({ password });
+      setCodes(data?.recovery_codes || []);
+      setQueryData(authKeys.mfa, (s) => ({ ...s, recovery_codes_remaining: data?.recovery_codes?.length }));
+      reset("codes");
+    });
+  };
+
+  const onDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await disableMfa({ password, code: code.replace(/\s/g, "") });
+      setQueryData(authKeys.mfa, (s) => ({ ...s, enabled: false, recovery_codes_remaining: 0 }));
+      reset();
+    });
+  };
+
+  const onDownload = () => {
+    const blob = new Blob([codes.join("\n") + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "buzcart-recovery-codes.txt";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const codeInput = (
+    <input
+      className="input"
+      type="text"
+      placeholder="123456"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={32}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      disabled={busy}
+    />
+  );
+
+  const passwordInput = (
+    <input
+      className="input"
+      type="password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+      autoComplete="current-password"
+      disabled={busy}
+    />
+  );
+
+  return (
+    <div className="surface pf-card">
+      <h2 className="pf-section-title">Two-factor authentication</h2>
+
+      {loading && <p className="text-muted">Loading…</p>}
+      {statusError && !status && <p className="text-muted">Two-factor settings are unavailable right now.</p>}
+
+      {status && step === "idle" && (
+        <>
+          <p className="text-muted">
+            {enabled
+              ? `On. ${status.recovery_codes_remaining ?? 0} recovery code(s) left.`
+              : "Off. Add a code from an authenticator app to every sign-in."}
+          </p>
+          <div className="pf-actions">
+            {enabled ? (
+              <>
+                <button className="btn btn-outline-tk" type="button" onClick={() => reset("regenerate")}>
+                  New recovery codes
+                </button>
+                <button className="btn btn-muted-tk" type="button" onClick={() => reset("disable")}>
+                  Turn off
+                </button>
+              </>
+            ) : (
+              <button className="btn btn-primary-tk" type="button" onClick={onStart} disabled={busy}>
+                {busy ? "Starting..." : "Set up"}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {step === "setup" && setup && (
+        <form className="pf-form" onSubmit={onConfirm}>
+          <p className="text-muted">
+            Scan this QR code with your authenticator app, or enter the key by hand. Then type the
+            6-digit code it shows.
+          </p>
+          {setup.qr_code && <img className="pf-qr" src={setup.qr_code} alt="Two-factor QR code" />}
+          <div className="pf-row">
+            <label>Setup key</label>
+            <code className="pf-secret">{groupSecret(setup.secret)}</code>
+            {setup.otpauth_url && (
+              <a className="text-xs underline" href={setup.otpauth_url} style={{ color: "var(--bc-primary)" }}>
+                Open in authenticator app
+              </a>
+            )}
+          </div>
+          <div className="pf-row">
+            <label>Code from the app</label>
+            <div className="pf-inline">
+              {codeInput}
+              <button className="btn btn-primary-tk" type="submit" disabled={busy}>
+                {busy ? "Checking..." : "Turn on"}
+              </button>
+            </div>
+          </div>
+          <button className="btn btn-muted-tk" type="button" onClick={() => reset()} disabled={busy}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {step === "codes" && (
+        <>
+          <p className="text-muted">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+            phone. They won't be shown again.
+          </p>
+          <ul className="pf-codes">
+            {codes.map((c) => (
+              <li key={c}>{c}</li>
+            ))}
+          </ul>
+          <div className="pf-actions">
+            <button className="btn btn-outline-tk" type="button"
+                    onClick={() => navigator.clipboard?.writeText(codes.join("\n"))}>
+              Copy
+            </button>
+            <button className="btn btn-outline-tk" type="button" onClick={onDownload}>
+              Download
+            </button>
+            <button className="btn btn-primary-tk" type="button" onClick={() => { setCodes([]); reset(); }}>
+              Done
+            </button>
+          </div>
+        </>
+      )}
+
+      {(step === "regenerate" || step === "disable") && (
+        <form className="pf-form" onSubmit={step === "disable" ? onDisable : onRegenerate}>
+          <p className="text-muted">
+            {step === "disable"
+              ? "Confirm it's you to turn off two-factor authentication."
+              : "Confirm it's you. Your old recovery codes will stop working."}
+          </p>
+          <div className="pf-row">
+            <label>Password</label>
+            {passwordInput}
+          </div>
+          {step === "disable" && (
+            <div className="pf-row">
+              <label>Authentication or recovery code</label>
+              {codeInput}
+            </div>
+          )}
+          <div className="pf-actions">
+            <button className="btn btn-primary-tk" type="submit" disabled={busy}>
+              {busy ? "Confirming..." : step === "disable" ? "Turn off" : "Generate codes"}
+            </button>
+            <button className="btn btn-muted-tk" type="button" onClick={() => reset()} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <p className="mt-1 text-xs" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import useAuth from "../hooks/useAuth";
+import ResendVerification from "./ResendVerification";
+
+// Nudge for signed-in users who haven't confirmed their email yet
+export default function UnverifiedBanner() {
+  const { isAuthenticated, user } = useAuth();
+  if (!isAuthenticated || user?.email_verified !== false) return null;
+
+  return (
+    <div
+      role="status"
+      className="text-sm"
+      style={{
+        padding: "0.5rem 1rem",
+        textAlign: "center",
+        background: "var(--bc-muted)",
+        borderBottom: "1px solid var(--bc-border)",
+        color: "var(--bc-warning, #ffb300)",
+      }}
+    >
+      Please confirm your email address{user.email ? ` (${user.email})` : ""} to place orders.{" "}
+      <ResendVerification />
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { TOKEN_STORAGE_MODES } from "./utils/tokenStorage";
+
+/* ===========================
+   Runtime configuration
+   Resolution order (first defined wins):
+     1) window.__BUZCART_CONFIG__  – injected by public/runtime-config.js at deploy time
+     2) import.meta.env.VITE_*     – baked in at build time
+     3) defaults below
+=========================== */
+const runtime =
+  (typeof window !== "undefined" && window.__BUZCART_CONFIG__) || {};
+const env = import.meta.env || {};
+
+function pick(...values) {
+  for (const v of values) {
+    if (v !== undefined && v !== null && v !== "") return v;
+  }
+  return undefined;
+}
+
+// JSON from a build variable, e.g. VITE_OAUTH_PROVIDERS='[{"id":"google",...}]'
+function parseJson(value, fallback) {
+  if (typeof value !== "string") return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value; // reported by validateConfig
+  }
+}
+
+const trimSlash = (s) => String(s ?? "").replace(/\/+$/, "");
+
+const apiBase = trimSlash(
+  pick(runtime.apiBase, env.VITE_API_BASE, typeof window !== "undefined" ? window.location.origin : "")
+);
+
+const config = {
+  apiBase,
+  // Prefer explicit media host (CDN). Fallback to API origin.
+  mediaBase: trimSlash(pick(runtime.mediaBase, env.VITE_MEDIA_BASE, apiBase)),
+
+  currency: pick(runtime.currency, env.VITE_CURRENCY_CODE, "NPR"),
+  locale: pick(runtime.locale, env.VITE_LOCALE, "en-NP"),
+
+  paypal: {
+    clientId: pick(runtime.paypal?.clientId, env.VITE_PAYPAL_CLIENT_ID, ""),
+    currency: pick(runtime.paypal?.currency, env.VITE_PAYPAL_CURRENCY, "USD"),
+    // store currency → PayPal currency
+    fxRate: Number(pick(runtime.paypal?.fxRate, env.VITE_FX_NPR_TO_USD, 0.0077)),
+  },
+
+  // Retry policy for idempotent requests (see apiClient)
+  retry: {
+    retries: Number(pick(runtime.retry?.retries, env.VITE_API_RETRIES, 3)),
+    baseDelay: Number(pick(runtime.retry?.baseDelay, 300)), // ms, doubled per attempt
+    maxDelay: Number(pick(runtime.retry?.maxDelay, 5000)), // ms, cap for backoff and Retry-After
+  },
+
+  catalog: {
+    // false when the products API ignores filter params – Products then filters each page itself
+    serverFilters: String(pick(runtime.catalog?.serverFilters, env.VITE_SERVER_FILTERS, true)) !== "false",
+  },
+
+  auth: {
+    // local | session | memory | cookie – see utils/tokenStorage
+    tokenStorage: pick(runtime.auth?.tokenStorage, env.VITE_TOKEN_STORAGE, "local"),
+    // Sign out after this many idle minutes (0 = never), warning this many seconds before
+    idleTimeout: Number(pick(runtime.auth?.idleTimeout, env.VITE_IDLE_TIMEOUT_MIN, 30)),
+    idleWarning: Number(pick(runtime.auth?.idleWarning, 60)),
+  },
+
+  // Social sign-in (OAuth2 authorization code + PKCE); see utils/oauth.
+  // [{ id, name, authorizeUrl, clientId, scope? }] – the backend exchanges the code
+  oauth: {
+    providers: parseJson(pick(runtime.oauth?.providers, env.VITE_OAUTH_PROVIDERS), []),
+  },
+
+  // Client-side mirror of Django's AUTH_PASSWORD_VALIDATORS; see utils/passwordPolicy.
+  // The server stays authoritative – keep these in step with its settings.
+  passwordPolicy: {
+    minLength: Number(pick(runtime.passwordPolicy?.minLength, env.VITE_PASSWORD_MIN_LENGTH, 8)),
+    // How many of lowercase / uppercase / digits / symbols are required (0 = no rule)
+    minClasses: Number(pick(runtime.passwordPolicy?.minClasses, env.VITE_PASSWORD_MIN_CLASSES, 0)),
+    rejectCommon: pick(runtime.passwordPolicy?.rejectCommon, true) !== false,
+    rejectNumeric: pick(runtime.passwordPolicy?.rejectNumeric, true) !== false,
+    // UserAttributeSimilarityValidator's max_similarity (0 = no rule)
+    maxSimilarity: Number(pick(runtime.passwordPolicy?.maxSimilarity, 0.7)),
+  },
+
+  // Several storefronts share one backend; see utils/tenant
+  tenant: {
+    header: pick(runtime.tenant?.header, env.VITE_TENANT_HEADER, "X-Tenant-ID"),
+    // Storefront for signed-out visitors (signed-in users use their tenant_id claim)
+    default: pick(runtime.tenant?.default, env.VITE_TENANT_ID) ?? null,
+    // { [tenantId]: { name, logo, primary } } – runtime config only
+    branding: runtime.tenant?.branding || {},
+  },
+
+  // Optional Basic auth fallback if no JWT (dev only, never from runtime config)
+  basicAuth: {
+    user: env.VITE_BASIC_USER || null,
+    pass: env.VITE_BASIC_PASS || null,
+  },
+};
+
+/* ===========================
+   Validation
+=========================== */
+function isHttpUrl(value) {
+  try {
+    const u = new URL(value);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isCurrency(code) {
+  if (!/^[A-Z]{3}$/.test(code || "")) return false;
+  try {
+    new Intl.NumberFormat("en", { style: "currency", currency: code });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isLocale(tag) {
+  try {
+    return Intl.getCanonicalLocales(tag).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+// Returns a list of human-readable problems; empty means the config is usable
+export function validateConfig(cfg = config) {
+  const errors = [];
+  if (cfg.apiBase && !isHttpUrl(cfg.apiBase))
+    errors.push(`API base "${cfg.apiBase}" is not a valid http(s) URL (apiBase / VITE_API_BASE).`);
+  if (cfg.mediaBase && !isHttpUrl(cfg.mediaBase))
+    errors.push(`Media base "${cfg.mediaBase}" is not a valid http(s) URL (mediaBase / VITE_MEDIA_BASE).`);
+  if (!isCurrency(cfg.currency))
+    errors.push(`Currency "${cfg.currency}" is not an ISO 4217 code (currency / VITE_CURRENCY_CODE).`);
+  if (!isLocale(cfg.locale))
+    errors.push(`Locale "${cfg.locale}" is not a valid BCP 47 tag (locale / VITE_LOCALE).`);
+  if (!isCurrency(cfg.paypal.currency))
+    errors.push(`PayPal currency "${cfg.paypal.currency}" is not an ISO 4217 code (paypal.currency / VITE_PAYPAL_CURRENCY).`);
+  if (!Number.isFinite(cfg.paypal.fxRate) || cfg.paypal.fxRate <= 0)
+    errors.push(`PayPal FX rate must be a positive number (paypal.fxRate / VITE_FX_NPR_TO_USD).`);
+  if (!Number.isInteger(cfg.retry.retries) || cfg.retry.retries < 0)
+    errors.push(`Retry count must be a whole number ≥ 0 (retry.retries / VITE_API_RETRIES).`);
+  if (!(cfg.retry.baseDelay > 0) || !(cfg.retry.maxDelay >= cfg.retry.baseDelay))
+    errors.push(`Retry delays must be positive with maxDelay ≥ baseDelay (retry.baseDelay / retry.maxDelay).`);
+  if (!TOKEN_STORAGE_MODES.includes(cfg.auth.tokenStorage))
+    errors.push(`Token storage "${cfg.auth.tokenStorage}" must be one of ${TOKEN_STORAGE_MODES.join(", ")} (auth.tokenStorage / VITE_TOKEN_STORAGE).`);
+  if (!(cfg.auth.idleTimeout >= 0))
+    errors.push(`Idle timeout must be a number of minutes ≥ 0 (auth.idleTimeout / VITE_IDLE_TIMEOUT_MIN).`);
+  if (!(cfg.auth.idleWarning > 0) || (cfg.auth.idleTimeout > 0 && cfg.auth.idleWarning >= cfg.auth.idleTimeout * 60))
+    errors.push(`Idle warning must be a positive number of seconds shorter than the idle timeout (auth.idleWarning).`);
+  if (!Number.isInteger(cfg.passwordPolicy.minLength) || cfg.passwordPolicy.minLength < 1)
+    errors.push(`Password minimum length must be a whole number ≥ 1 (passwordPolicy.minLength / VITE_PASSWORD_MIN_LENGTH).`);
+  if (!Number.isInteger(cfg.passwordPolicy.minClasses) || cfg.passwordPolicy.minClasses < 0 || cfg.passwordPolicy.minClasses > 4)
+    errors.push(`Password character classes must be a whole number from 0 to 4 (passwordPolicy.minClasses / VITE_PASSWORD_MIN_CLASSES).`);
+  if (!(cfg.passwordPolicy.maxSimilarity >= 0 && cfg.passwordPolicy.maxSimilarity <= 1))
+    errors.push(`Password similarity must be between 0 and 1 (passwordPolicy.maxSimilarity).`);
+  if (!Array.isArray(cfg.oauth.providers))
+    errors.push(`OAuth providers must be a list (oauth.providers / VITE_OAUTH_PROVIDERS as JSON).`);
+  else
+    cfg.oauth.providers.forEach((p, i) => {
+      if (!p?.id || !p.clientId || !isHttpUrl(p.authorizeUrl))
+        errors.push(`OAuth provider #${i + 1} needs an id, a clientId and an http(s) authorizeUrl (oauth.providers).`);
+    });
+  if (!/^[A-Za-z0-9-]+$/.test(cfg.tenant.header || ""))
+    errors.push(`Tenant header "${cfg.tenant.header}" is not a valid HTTP header name (tenant.header / VITE_TENANT_HEADER).`);
+  if (typeof cfg.tenant.branding !== "object" || Array.isArray(cfg.tenant.branding))
+    errors.push(`Tenant branding must be an object keyed by tenant id (tenant.branding).`);
+  return errors;
+}
+
+/* ===========================
+   Helpers
+=========================== */
+// Absolute URL for a media path returned by the API
+export function mediaUrl(path) {
+  if (!path) return "";
+  if (/^(https?:|blob:|data:)/i.test(path)) return path;
+  if (path.startsWith("//")) return `${window.location.protocol}${path}`;
+  return `${config.mediaBase}${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+export function formatMoney(n, options = {}) {
+  const num = Number(n || 0);
+  try {
+    return new Intl.NumberFormat(config.locale, {
+      style: "currency",
+      currency: config.currency,
+      maximumFractionDigits: 2,
+      ...options,
+    }).format(num);
+  } catch {
+    return `${config.currency} ${num.toLocaleString()}`;
+  }
+}
+
+export default config;
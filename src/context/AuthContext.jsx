@@ -1,42 +1,134 @@
-import React, { createContext, useContext, useEffect, useState } from "react";
-import { login as doLogin, logout as doLogout } from "../services/authService";
-import { tokenStore } from "../apiClient";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  login as doLogin,
+  logout as doLogout,
+  register as doRegister,
+  verifyMfa as doVerifyMfa,
+  getMyProfile,
+  authKeys,
+} from "../services/AuthService";
+import { tokenStore, refreshAccessToken } from "../apiClient";
+import config, { mediaUrl } from "../config";
+import useQuery from "../hooks/useQuery";
+import useIdleTimer from "../hooks/useIdleTimer";
+import IdleWarningModal from "../components/IdleWarningModal";
+import { AuthContext } from "../hooks/useAuth";
+import { decodeJwt } from "../utils/jwt";
+import { rolesFor } from "../utils/permissions";
+import { invalidateQueries, removeQueries } from "../utils/queryCache";
+import { onSessionChange, SESSION_LOGOUT } from "../utils/sessionBus";
+import { getTenant, setTenant } from "../utils/tenant";
 
-const AuthContext = createContext(null);
+/* ===========================
+   Helpers
+=========================== */
+function readSession() {
+  return { access: tokenStore.access, active: tokenStore.hasSession };
+}
 
+/* ===========================
+   Provider
+=========================== */
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(null); // { username, tenant_id, claims }
-  const [loading, setLoading] = useState(true);
+  const [session, setSession] = useState(readSession);
+
+  // Login, logout and refresh from any tab (and expiry in this one)
+  useEffect(
+    () =>
+      onSessionChange(({ type }) => {
+        // Nothing cached for the previous user may leak into the next session
+        if (type === SESSION_LOGOUT) removeQueries();
+        setSession(readSession());
+      }),
+    []
+  );
+
+  const { data: profile, error: profileError } = useQuery(authKeys.me, getMyProfile, {
+    enabled: session.active,
+  });
 
+  // Cookie mode can't read the tenant_id claim; take it from the profile
   useEffect(() => {
-    const access = tokenStore.access;
-    if (access) {
-      try {
-        const [, payload] = access.split(".");
-        const claims = JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
-        setUser({ username: claims?.username, tenant_id: claims?.tenant_id, claims });
-      } catch {
-        // ignore
-      }
-    }
-    setLoading(false);
-  }, []);
-
-  const login = async (creds) => {
-    const { claims } = await doLogin(creds);
-    setUser({ username: claims?.username, tenant_id: claims?.tenant_id, claims });
-  };
+    if (tokenStore.cookieMode && profile) setTenant(profile.tenant_id);
+  }, [profile]);
+
+  const claims = useMemo(() => decodeJwt(session.access), [session.access]);
+  const roles = useMemo(
+    () => (session.active ? rolesFor(claims, profile) : []),
+    [session.active, claims, profile]
+  );
 
-  const logout = () => {
-    doLogout();
-    setUser(null);
+  const user = useMemo(() => {
+    if (!session.active) return null;
+    const c = claims || {};
+    const p = profile || {};
+    return {
+      username: p.username || c.username || c.preferred_username || c.email || c.name || c.sub || "",
+      first_name: p.first_name || c.first_name || "",
+      last_name: p.last_name || c.last_name || "",
+      email: p.email || c.email || "",
+      avatar: mediaUrl(p.profile?.avatar || c.avatar || c.avatar_url || c.picture || c.image || ""),
+      tenant_id: c.tenant_id ?? p.tenant_id ?? getTenant(),
+      // The profile is fresher than the token after activation, so this stays
+      // undefined (unknown) until it loads; backends without email
+      // verification report nothing, which counts as verified
+      email_verified:
+        p.email_verified ?? (profile === undefined && !profileError ? undefined : c.email_verified ?? true),
+    };
+  }, [session.active, claims, profile, profileError]);
+
+  // State follows from the session events each action publishes
+  const login = useCallback((creds) => doLogin(creds), []);
+  const verifyMfa = useCallback((data) => doVerifyMfa(data), []);
+  const logout = useCallback(() => doLogout(), []);
+  const register = useCallback((data) => doRegister(data), []);
+  const refresh = useCallback(() => refreshAccessToken(), []);
+  const refreshProfile = useCallback(() => invalidateQueries(authKeys.me), []);
+
+  // Idle sign-out. Logging out drops every cached query, cart and orders included.
+  const idle = useIdleTimer({
+    enabled: session.active && config.auth.idleTimeout > 0,
+    timeout: config.auth.idleTimeout * 60_000,
+    warning: config.auth.idleWarning * 1000,
+    onIdle: () => doLogout({ reason: "idle" }),
+  });
+
+  const staySignedIn = () => {
+    idle.stayActive();
+    // A refresh token that has run out ends the session here (AUTH_EXPIRED)
+    refresh().catch(() => {});
   };
 
+  const value = useMemo(
+    () => ({
+      isAuthenticated: session.active,
+      // Cookie mode has no readable claims – wait for the profile
+      loading: session.active && !claims && profile === undefined && !profileError,
+      user,
+      claims,
+      roles,
+      profile,
+      profileError,
+      login,
+      verifyMfa,
+      logout,
+      register,
+      refresh,
+      refreshProfile,
+    }),
+    [session.active, claims, profile, profileError, user, roles, login, verifyMfa, logout, register, refresh, refreshProfile]
+  );
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider value={value}>
       {children}
+      {idle.warning && (
+        <IdleWarningModal
+          remaining={idle.remaining}
+          onStay={staySignedIn}
+          onLogout={() => doLogout()}
+        />
+      )}
     </AuthContext.Provider>
   );
 }
-
-export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+// Provided by <AuthProvider> (context/AuthContext.jsx), mounted in main.jsx
+export const AuthContext = createContext(null);
+
+/**
+ * Current session and the actions that change it.
+ *   const { isAuthenticated, user, claims, roles, profile, login, logout } = useAuth();
+ * `user` merges token claims with the /me profile once it has loaded.
+ */
+export default function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider>");
+  return ctx;
+}
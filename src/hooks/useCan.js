@@ -0,0 +1,11 @@
+import useAuth from "./useAuth";
+import { can } from "../utils/permissions";
+
+/**
+ * Whether the current user holds `permission` (see utils/permissions).
+ *   const canUpload = useCan("post:create");
+ */
+export default function useCan(permission) {
+  const { roles } = useAuth();
+  return can(roles, permission);
+}
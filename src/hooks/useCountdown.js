@@ -0,0 +1,29 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Seconds-left countdown for cooldowns (rate limits, resend buttons).
+ *   const [left, start] = useCountdown();  start(30);  // left: 30, 29, … 0
+ */
+export default function useCountdown() {
+  const [endsAt, setEndsAt] = useState(0);
+  const [left, setLeft] = useState(0);
+
+  useEffect(() => {
+    if (!endsAt) return;
+    const tick = () => {
+      const secs = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      setLeft(secs);
+      if (!secs) setEndsAt(0);
+    };
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  const start = useCallback((seconds) => {
+    setEndsAt(seconds > 0 ? Date.now() + seconds * 1000 : 0);
+    if (!(seconds > 0)) setLeft(0);
+  }, []);
+
+  return [left, start];
+}
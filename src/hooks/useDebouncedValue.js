@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+
+/**
+ * `value`, but only once it has stopped changing for `delay` ms.
+ *   const debounced = useDebouncedValue(text, 300);
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const id = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(id);
+  }, [value, delay]);
+
+  return debounced;
+}
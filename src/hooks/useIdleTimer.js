@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Last user activity, shared by all tabs so an active tab keeps the others alive
+const ACTIVITY_KEY = "buzcart:last-activity";
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+const WRITE_THROTTLE_MS = 5_000;
+const TICK_MS = 1_000;
+
+function readActivity() {
+  try {
+    return Number(localStorage.getItem(ACTIVITY_KEY)) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+function writeActivity(at) {
+  try {
+    if (at) localStorage.setItem(ACTIVITY_KEY, String(at));
+    else localStorage.removeItem(ACTIVITY_KEY);
+  } catch {
+    // storage unavailable – this tab still tracks its own activity
+  }
+}
+
+/**
+ * Inactivity timer.
+ *   const { warning, remaining, stayActive } = useIdleTimer({ timeout, warning, onIdle, enabled });
+ * `timeout` and `warning` are in ms. Once less than `warning` is left, `warning`
+ * is true and ordinary activity no longer counts – only `stayActive()` does.
+ * `remaining` is whole seconds until `onIdle` fires (0 outside the warning).
+ */
+export default function useIdleTimer({ timeout, warning: warnMs, onIdle, enabled = true }) {
+  const [state, setState] = useState({ warning: false, remaining: 0 });
+  const lastLocal = useRef(Date.now());
+  const lastWrite = useRef(0);
+  const warningRef = useRef(false);
+
+  const onIdleRef = useRef(onIdle);
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  });
+
+  const markActive = useCallback((force = false) => {
+    const now = Date.now();
+    lastLocal.current = now;
+    if (force || now - lastWrite.current > WRITE_THROTTLE_MS) {
+      lastWrite.current = now;
+      writeActivity(now);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !(timeout > 0)) {
+      warningRef.current = false;
+      setState({ warning: false, remaining: 0 });
+      if (!enabled) writeActivity(0); // next session starts fresh
+      return;
+    }
+
+    // Idle since before the page was (re)opened, e.g. a browser left overnight
+    const stored = readActivity();
+    if (stored && Date.now() - stored > timeout) {
+      onIdleRef.current?.();
+      return;
+    }
+    markActive(true);
+    const onActivity = () => {
+      if (!warningRef.current) markActive();
+    };
+    ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, onActivity, { passive: true }));
+
+    const tick = () => {
+      const last = Math.max(lastLocal.current, readActivity());
+      const left = last + timeout - Date.now();
+      if (left <= 0) {
+        clearInterval(id);
+        warningRef.current = false;
+        setState({ warning: false, remaining: 0 });
+        onIdleRef.current?.();
+        return;
+      }
+      warningRef.current = left <= warnMs;
+      // Only the countdown needs per-second renders
+      const next = warningRef.current
+        ? { warning: true, remaining: Math.ceil(left / 1000) }
+        : { warning: false, remaining: 0 };
+      setState((s) => (s.warning === next.warning && s.remaining === next.remaining ? s : next));
+    };
+    const id = setInterval(tick, TICK_MS);
+    tick();
+
+    return () => {
+      clearInterval(id);
+      ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, onActivity));
+    };
+  }, [enabled, timeout, warnMs, markActive]);
+
+  // Explicit "I'm still here" – also dismisses the warning in other tabs
+  const stayActive = useCallback(() => {
+    warningRef.current = false;
+    markActive(true);
+    setState({ warning: false, remaining: 0 });
+  }, [markActive]);
+
+  return { ...state, stayActive };
+}
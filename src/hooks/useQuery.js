@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+import {
+  DEFAULT_STALE_TIME,
+  fetchQuery,
+  getQueryState,
+  hashKey,
+  isStale,
+  subscribe,
+} from "../utils/queryCache";
+import useTenant from "./useTenant";
+
+/**
+ * Cached data loading for pages.
+ *   const { data, error, loading, fetching, refetch } = useQuery(["cart"], getActiveCart);
+ * `fetcher` receives `{ signal }` and is aborted if the page unmounts before
+ * the first response arrives. `loading` is true only while there is no data yet.
+ */
+export default function useQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, enabled = true } = {}) {
+  useTenant(); // keys are tenant-scoped: re-render (and re-key) on a switch
+  const hash = hashKey(key);
+
+  // Always call the latest fetcher without re-subscribing on every render
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const state = useSyncExternalStore(
+    useCallback((cb) => subscribe(hash, cb), [hash]),
+    () => getQueryState(hash)
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (isStale(hash, staleTime)) fetchQuery(hash, (opts) => fetcherRef.current(opts));
+  }, [hash, enabled, staleTime]);
+
+  const refetch = useCallback(
+    () => fetchQuery(hash, (opts) => fetcherRef.current(opts)),
+    [hash]
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: enabled && state.data === undefined && !state.error,
+    fetching: state.fetching,
+    refetch,
+  };
+}
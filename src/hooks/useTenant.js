@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from "react";
+import { brandingFor, getTenant, onTenantChange } from "../utils/tenant";
+
+/**
+ * Current tenant and its branding; re-renders when the tenant changes.
+ *   const { id, branding } = useTenant();
+ */
+export default function useTenant() {
+  const id = useSyncExternalStore(onTenantChange, getTenant);
+  return { id, branding: brandingFor(id) };
+}
@@ -1,15 +1,35 @@
-import { Outlet } from "react-router-dom";
+import { useEffect } from "react";
+import { Outlet, ScrollRestoration, useLocation, useNavigate } from "react-router-dom";
 import Navbar from "../components/Navbar";
 import Footer from "../components/Footer";
+import useTenant from "../hooks/useTenant";
+import { AUTH_EXPIRED, onAuthEvent } from "../utils/authEvents";
 
 export default function RootLayout() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { branding } = useTenant();
+
+  // Session ran out in the background → send the user to sign in again
+  useEffect(
+    () =>
+      onAuthEvent(AUTH_EXPIRED, ({ reason }) => {
+        if (location.pathname !== "/login")
+          navigate("/login", { state: { expired: true, reason, from: location } });
+      }),
+    [navigate, location]
+  );
+
+  // Tenant accent color overrides the theme's --bc-primary for the whole app
   return (
-    <div className="app">
+    <div className="app" style={branding.primary ? { "--bc-primary": branding.primary } : undefined}>
       <Navbar />
       <main className="app-main">
         <Outlet />
       </main>
       <Footer />
+      {/* Back/forward returns to where the page was left (e.g. deep in the product list) */}
+      <ScrollRestoration />
     </div>
   );
 }
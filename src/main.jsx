@@ -9,10 +9,21 @@ import Cart from "./pages/Cart";
 import Checkout from "./pages/Checkout";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import Activate from "./pages/Activate";
+import AuthCallback from "./pages/AuthCallback";
 import Profile from "./pages/Profile";
 import Orders from "./pages/Orders";
 import UploadPage from "./pages/UploadPage";
 import VerifyIdentity from "./pages/VerifyIdentity";
+import ConfigError from "./components/ConfigError";
+import ProtectedRoute from "./components/ProtectedRoute";
+import GuestRoute from "./components/GuestRoute";
+import RequireRole from "./components/RequireRole";
+import RequireVerifiedEmail from "./components/RequireVerifiedEmail";
+import { AuthProvider } from "./context/AuthContext";
+import { validateConfig } from "./config";
 import "./styles/globals.css";
 
 const router = createBrowserRouter([
@@ -22,20 +33,53 @@ const router = createBrowserRouter([
       { path: "/", element: <Home /> },
       { path: "/products", element: <Products /> },
       { path: "/products/:id", element: <ProductDetail /> },
-      { path: "/cart", element: <Cart /> },
-      { path: "/checkout", element: <Checkout /> },
-      { path: "/login", element: <Login /> },
-      { path: "/register", element: <Register /> },
-      { path: "/profile", element: <Profile /> },
-      { path: "/orders", element: <Orders /> },
-      { path: "/verify", element: <VerifyIdentity /> },
-      { path: "/upload", element: <UploadPage /> },
+      { path: "/reset-password/:uid/:token", element: <ResetPassword /> },
+      { path: "/activate/:token", element: <Activate /> },
+      // OAuth redirect target for both sign-in and account linking (see utils/oauth)
+      { path: "/auth/callback", element: <AuthCallback /> },
+
+      // Signed-in only
+      {
+        element: <ProtectedRoute />,
+        children: [
+          { path: "/cart", element: <Cart /> },
+          {
+            element: <RequireVerifiedEmail />,
+            children: [{ path: "/checkout", element: <Checkout /> }],
+          },
+          { path: "/profile", element: <Profile /> },
+          { path: "/orders", element: <Orders /> },
+          { path: "/verify", element: <VerifyIdentity /> },
+          {
+            element: <RequireRole permission="post:create" />,
+            children: [{ path: "/upload", element: <UploadPage /> }],
+          },
+        ],
+      },
+
+      // Signed-out only
+      {
+        element: <GuestRoute />,
+        children: [
+          { path: "/login", element: <Login /> },
+          { path: "/register", element: <Register /> },
+          { path: "/forgot-password", element: <ForgotPassword /> },
+        ],
+      },
     ],
   },
 ]);
 
+const configErrors = validateConfig();
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <RouterProvider router={router} />
+    {configErrors.length ? (
+      <ConfigError errors={configErrors} />
+    ) : (
+      <AuthProvider>
+        <RouterProvider router={router} />
+      </AuthProvider>
+    )}
   </React.StrictMode>
 );
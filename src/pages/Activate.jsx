@@ -0,0 +1,108 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { activateAccount } from "../services/AuthService";
+import useAuth from "../hooks/useAuth";
+import ResendVerification from "../components/ResendVerification";
+import { ApiError } from "../utils/errors";
+
+export default function Activate() {
+  const { token } = useParams();
+  const { isAuthenticated, refreshProfile } = useAuth();
+
+  const [status, setStatus] = useState("pending"); // pending | done | invalid | error
+  const [message, setMessage] = useState("");
+  const [email, setEmail] = useState("");
+
+  // Activation tokens are single-use: never POST the same one twice
+  // (StrictMode runs effects twice in development)
+  const sentFor = useRef(null);
+
+  useEffect(() => {
+    if (sentFor.current === token) return;
+    sentFor.current = token;
+
+    activateAccount(token)
+      .then(() => {
+        setStatus("done");
+        if (isAuthenticated) refreshProfile();
+      })
+      .catch((err) => {
+        const { status: code, message: msg } = ApiError.from(err);
+        if (code === 400 || code === 404 || code === 410) setStatus("invalid");
+        else {
+          setStatus("error");
+          setMessage(msg);
+        }
+      });
+  }, [token, isAuthenticated, refreshProfile]);
+
+  return (
+    <section className="auth-card auth-wrap">
+      {status === "pending" && (
+        <>
+          <h2 className="text-2xl font-semibold mb-4 text-center">Confirming your email…</h2>
+          <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>This only takes a moment.</p>
+        </>
+      )}
+
+      {status === "done" && (
+        <>
+          <h2 className="text-2xl font-semibold mb-4 text-center">Email confirmed</h2>
+          <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+            Your account is active{isAuthenticated ? " and checkout is unlocked" : ""}.
+          </p>
+          {isAuthenticated ? (
+            <Link to="/products" className="btn btn-primary w-full mt-4" style={{ textAlign: "center" }}>
+              Continue shopping
+            </Link>
+          ) : (
+            <Link to="/login" state={{ activated: true }} className="btn btn-primary w-full mt-4" style={{ textAlign: "center" }}>
+              Log in
+            </Link>
+          )}
+        </>
+      )}
+
+      {status === "invalid" && (
+        <>
+          <h2 className="text-2xl font-semibold mb-4 text-center">Link expired</h2>
+          <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+            This activation link is invalid, expired or has already been used.
+          </p>
+          <div className="form-col mt-4">
+            {!isAuthenticated && (
+              <div className="form-field">
+                <label>Email</label>
+                <input
+                  className="input w-full"
+                  type="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                />
+              </div>
+            )}
+            {(isAuthenticated || email.trim()) && (
+              <p className="text-center text-sm">
+                <ResendVerification email={isAuthenticated ? undefined : email.trim()} />
+              </p>
+            )}
+          </div>
+        </>
+      )}
+
+      {status === "error" && (
+        <>
+          <h2 className="text-2xl font-semibold mb-4 text-center">Something went wrong</h2>
+          <p className="text-center" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+            {message}
+          </p>
+          <button type="button" className="btn btn-primary w-full mt-4" onClick={() => window.location.reload()}>
+            Try again
+          </button>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { authKeys, linkProvider, oauthLogin } from "../services/AuthService";
+import { invalidateQueries } from "../utils/queryCache";
+import { consumeOAuthState, findProvider, redirectUri } from "../utils/oauth";
+import { ApiError } from "../utils/errors";
+
+// Provider errors worth a friendlier message than their `error_description`
+const PROVIDER_ERRORS = {
+  access_denied: "Sign-in was cancelled.",
+  login_required: "Sign-in with the provider didn't complete.",
+};
+
+// Landing page for the OAuth redirect (see utils/oauth)
+export default function AuthCallback() {
+  const [params] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState("");
+  const [attempt, setAttempt] = useState(null); // { provider, intent, … } from beginOAuth
+
+  // Authorization codes are single-use: never exchange the same one twice
+  // (StrictMode runs effects twice in development)
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const pending = consumeOAuthState(params.get("state"));
+    setAttempt(pending);
+
+    if (params.get("error")) {
+      const code = params.get("error");
+      setError(PROVIDER_ERRORS[code] || params.get("error_description") || `Sign-in failed (${code}).`);
+      return;
+    }
+    if (!pending || !params.get("code")) {
+      setError("This sign-in link is invalid or has already been used. Please try again.");
+      return;
+    }
+
+    const { provider, verifier, returnTo, remember } = pending;
+    const exchange = { provider, code: params.get("code"), code_verifier: verifier, redirect_uri: redirectUri() };
+
+    if (pending.intent === "link") {
+      linkProvider(exchange)
+        .then(() => {
+          invalidateQueries(authKeys.oauth);
+          navigate(returnTo || "/profile", { replace: true, state: { linked: provider } });
+        })
+        .catch((err) => setError(ApiError.from(err).message));
+      return;
+    }
+
+    oauthLogin({ ...exchange, remember })
+      .then((result) => {
+        // Second factor: finish on the login page's code step
+        if (result?.mfaRequired) {
+          navigate("/login", {
+            replace: true,
+            state: { mfaToken: result.mfaToken, from: { pathname: returnTo || "/" } },
+          });
+          return;
+        }
+        navigate(returnTo || "/", { replace: true });
+      })
+      .catch((err) => setError(ApiError.from(err).message));
+  }, [params, navigate]);
+
+  const intent = attempt?.intent || "login";
+  const providerName = findProvider(attempt?.provider)?.name;
+
+  if (!error) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Signing you in…</h2>
+        <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+          Finishing sign-in{providerName ? ` with ${providerName}` : ""}. This only takes a moment.
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="auth-card auth-wrap">
+      <h2 className="text-2xl font-semibold mb-4 text-center">
+        {intent === "link" ? "Couldn't link account" : "Couldn't sign you in"}
+      </h2>
+      <p className="text-center" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+        {error}
+      </p>
+      <Link
+        to={intent === "link" ? "/profile" : "/login"}
+        className="btn btn-primary w-full mt-4"
+        style={{ textAlign: "center" }}
+      >
+        {intent === "link" ? "Back to profile" : "Back to log in"}
+      </Link>
+    </section>
+  );
+}
@@ -1,97 +1,33 @@
 // src/pages/Cart.jsx
-import { useEffect, useMemo, useState } from "react";
+import { useMemo, useState } from "react";
+import {
+  getActiveCart,
+  updateCartItem,
+  removeCartItem,
+  commerceKeys,
+} from "../services/CommerceService";
+import useQuery from "../hooks/useQuery";
+import { setQueryData, invalidateQueries } from "../utils/queryCache";
+import { mediaUrl, formatMoney } from "../config";
+import { apiErrorMessage, firstError } from "../utils/errors";
 import "../styles/cart.css";
 
-/* ===========================
-   ENV & BASE URLS
-=========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-
-// Prefer explicit media host (CDN). Fallback to API origin.
-const MEDIA_BASE_RAW = import.meta.env?.VITE_MEDIA_BASE || API_BASE;
-const MEDIA_BASE = MEDIA_BASE_RAW.replace(/\/+$/, "");
-
-/* ===========================
-   API endpoints
-=========================== */
-const CART_ACTIVE_URL = `${API_BASE}/api/commerce/carts/active/`;
-
 /* ===========================
    Helpers
 =========================== */
-function absUrl(path) {
-  if (!path) return "";
-  if (/^(https?:|blob:|data:)/i.test(path)) return path;
-  return `${MEDIA_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
-}
-
-function getJwt() {
-  return (
-    localStorage.getItem("access_token") ||
-    localStorage.getItem("access") ||
-    sessionStorage.getItem("access_token") ||
-    sessionStorage.getItem("access") ||
-    null
-  );
-}
-
-function getCsrfToken() {
-  const m = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
-  return m ? decodeURIComponent(m[1]) : null;
-}
-
-function authHeaders({ json = true } = {}) {
-  const headers = {};
-  if (json) {
-    headers["Content-Type"] = "application/json";
-    headers["Accept"] = "application/json";
-  } else {
-    headers["Accept"] = "application/json";
-  }
-
-  const jwt = getJwt();
-  if (jwt) headers["Authorization"] = `Bearer ${jwt}`;
-
-  const csrf = getCsrfToken();
-  if (csrf) headers["X-CSRFTOKEN"] = csrf;
-
-  return headers;
-}
-
-function formatMoney(n, currency = "AUD") {
-  try {
-    return new Intl.NumberFormat(undefined, {
-      style: "currency",
-      currency,
-      maximumFractionDigits: 0,
-    }).format(n);
-  } catch {
-    return `${currency} ${Number(n || 0).toLocaleString()}`;
-  }
-}
-
-async function safeJson(res) {
-  try {
-    const txt = await res.text();
-    return txt ? JSON.parse(txt) : null;
-  } catch {
-    return null;
-  }
-}
+const money = (n) => formatMoney(n, { maximumFractionDigits: 0 });
 
 /* ===========================
    Component
 =========================== */
 export default function Cart() {
-  const [loading, setLoading] = useState(true);
-  const [cart, setCart] = useState(null);
+  const { data: cart, loading, error: loadError } = useQuery(commerceKeys.cart, getActiveCart);
   const [promo, setPromo] = useState("");
-  const [error, setError] = useState("");
+  const [mutationError, setError] = useState("");
+  const error = mutationError || (loadError ? apiErrorMessage(loadError, "Failed to load cart") : "");
+
+  // Cart edits go straight into the shared cache so Checkout sees them too
+  const setCart = (updater) => setQueryData(commerceKeys.cart, updater);
 
   // ---- Derived values ----
   const items = useMemo(() => {
@@ -105,7 +41,7 @@ export default function Cart() {
         price: Number(pd.price || 0),
         qty: Number(it.quantity || 1),
         maxQty: Number(pd.quantity ?? 0),
-        img: absUrl(pd.image),
+        img: mediaUrl(pd.image),
         seller: pd.seller || "",
       };
     });
@@ -119,69 +55,25 @@ export default function Cart() {
     return { subtotal, discount, shipping, total };
   }, [items, promo]);
 
-  // ---- Fetch active cart ----
-  useEffect(() => {
-    let alive = true;
-    (async () => {
-      setLoading(true);
-      setError("");
-      try {
-        const res = await fetch(CART_ACTIVE_URL, {
-          headers: authHeaders({ json: false }),
-          credentials: "include",
-        });
-        if (!res.ok) throw new Error(`Failed to load cart (${res.status})`);
-        const data = await safeJson(res);
-        if (alive) setCart(data);
-      } catch (e) {
-        if (alive) setError(e.message || "Failed to load cart");
-      } finally {
-        if (alive) setLoading(false);
-      }
-    })();
-    return () => {
-      alive = false;
-    };
-  }, []);
-
   // ---- Mutations ----
   async function patchItemQuantity(productId, newQty) {
     // PATCH /api/commerce/carts/active/  { product, quantity }
-    const res = await fetch(CART_ACTIVE_URL, {
-      method: "PATCH",
-      headers: authHeaders(),
-      body: JSON.stringify({ product: productId, quantity: newQty }),
-      credentials: "include",
-    });
-    if (!res.ok) {
-      const data = await safeJson(res);
-      const msg =
-        data?.quantity ||
-        data?.detail ||
-        `Failed to update (HTTP ${res.status})`;
-      throw new Error(typeof msg === "string" ? msg : JSON.stringify(msg));
+    try {
+      const data = await updateCartItem({ product: productId, quantity: newQty });
+      return data?.items ? data : null;
+    } catch (e) {
+      throw new Error(firstError(e?.fieldErrors, "quantity") || apiErrorMessage(e, "Failed to update"));
     }
-    const data = await safeJson(res);
-    if (data?.items) return data;
-    return null;
   }
 
   async function deleteItem(itemId) {
     // DELETE /api/commerce/carts/active/?cart_id=<cart_item_id>
-    const url = `${CART_ACTIVE_URL}?cart_id=${encodeURIComponent(itemId)}`;
-    const res = await fetch(url, {
-      method: "DELETE",
-      headers: authHeaders({ json: false }),
-      credentials: "include",
-    });
-    if (!res.ok && res.status !== 200 && res.status !== 204) {
-      const data = await safeJson(res);
-      const msg = data?.detail || `Failed to remove (HTTP ${res.status})`;
-      throw new Error(msg);
+    try {
+      const data = await removeCartItem(itemId);
+      return data?.items ? data : null;
+    } catch (e) {
+      throw new Error(apiErrorMessage(e, "Failed to remove"));
     }
-    const data = await safeJson(res);
-    if (data?.items) return data;
-    return null;
   }
 
   // ---- UI state updates ----
@@ -214,6 +106,7 @@ export default function Cart() {
     try {
       const updated = await patchItemQuantity(item.productId, desired);
       if (updated?.items) setCart(updated);
+      else invalidateQueries(commerceKeys.cart);
     } catch (e) {
       optimisticUpdate(item.id, (raw) => ({ ...raw, quantity: prevQty }));
       setError(
@@ -230,6 +123,7 @@ export default function Cart() {
     try {
       const updated = await deleteItem(itemId);
       if (updated?.items) setCart(updated);
+      else invalidateQueries(commerceKeys.cart);
     } catch (e) {
       setCart(prevCart);
       setError(String(e?.message || e) || "Could not remove item.");
@@ -281,7 +175,7 @@ export default function Cart() {
               <div className="cart-info">
                 <h3 className="cart-title">{it.name}</h3>
                 {it.seller ? <div className="cart-seller muted">Seller: {it.seller}</div> : null}
-                <div className="cart-price">{formatMoney(it.price)}</div>
+                <div className="cart-price">{money(it.price)}</div>
                 {it.maxQty > 0 && (
                   <div className="stock-note muted">In stock: {it.maxQty}</div>
                 )}
@@ -316,7 +210,7 @@ export default function Cart() {
               </div>
 
               <div className="cart-line-total">
-                {formatMoney(it.price * it.qty)}
+                {money(it.price * it.qty)}
               </div>
             </div>
           ))}
@@ -328,18 +222,18 @@ export default function Cart() {
 
           <div className="summary-row">
             <span>Subtotal</span>
-            <strong>{formatMoney(totals.subtotal)}</strong>
+            <strong>{money(totals.subtotal)}</strong>
           </div>
           <div className="summary-row">
             <span>Shipping</span>
             <strong>
-              {totals.shipping === 0 ? "Free" : formatMoney(totals.shipping)}
+              {totals.shipping === 0 ? "Free" : money(totals.shipping)}
             </strong>
           </div>
           <div className="summary-row">
             <span>Discount</span>
             <strong className={totals.discount ? "text-green" : "muted"}>
-              {totals.discount ? `− ${formatMoney(totals.discount)}` : "—"}
+              {totals.discount ? `− ${money(totals.discount)}` : "—"}
             </strong>
           </div>
 
@@ -347,7 +241,7 @@ export default function Cart() {
 
           <div className="summary-row total">
             <span>Total</span>
-            <strong>{formatMoney(totals.total)}</strong>
+            <strong>{money(totals.total)}</strong>
           </div>
 
           <form
@@ -1,45 +1,26 @@
 // src/pages/Checkout.jsx
 import { useEffect, useMemo, useState, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
+import { getActiveCart, createOrder, commerceKeys } from "../services/CommerceService";
+import useQuery from "../hooks/useQuery";
+import { invalidateQueries } from "../utils/queryCache";
+import config, { formatMoney } from "../config";
+import { apiErrorMessage } from "../utils/errors";
 import "../styles/checkout.css";
 
 /* ===========================
-   ENV & BASE URLS (robust)
+   ENV
 =========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-
-// Optional Basic auth fallback if no JWT (dev only)
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
 // PayPal (Sandbox) – client-side only
-const PAYPAL_CLIENT_ID = import.meta.env?.VITE_PAYPAL_CLIENT_ID || "";
-const PAYPAL_CURRENCY = import.meta.env?.VITE_PAYPAL_CURRENCY || "USD";
-const FX_NPR_TO_USD = Number(import.meta.env?.VITE_FX_NPR_TO_USD || 0.0077);
-
-// Endpoints
-// NOTE: singular "cart" (not "carts") to avoid 404
-const CART_URL = `${API_BASE}/api/commerce/carts/active/`;
-const ORDER_URL = `${API_BASE}/api/commerce/orders/`;
+const {
+  clientId: PAYPAL_CLIENT_ID,
+  currency: PAYPAL_CURRENCY,
+  fxRate: PAYPAL_FX_RATE,
+} = config.paypal;
 
 /* ===========================
    Helpers
 =========================== */
-function authHeaders() {
-  const token = localStorage.getItem("access");
-  const h = { "Content-Type": "application/json" };
-  if (token) h.Authorization = `Bearer ${token}`;
-  else if (BASIC_USER && BASIC_PASS) {
-    const b64 = btoa(`${BASIC_USER}:${BASIC_PASS}`);
-    h.Authorization = `Basic ${b64}`;
-  }
-  return h;
-}
-
 async function loadScript(src) {
   return new Promise((resolve, reject) => {
     const existing = document.querySelector(`script[src="${src}"]`);
@@ -53,11 +34,9 @@ async function loadScript(src) {
   });
 }
 
-function toPaypalAmount(nprTotal) {
-  if (PAYPAL_CURRENCY === "USD") {
-    return (nprTotal * FX_NPR_TO_USD).toFixed(2);
-  }
-  return (nprTotal * FX_NPR_TO_USD).toFixed(2);
+function toPaypalAmount(storeTotal) {
+  if (PAYPAL_CURRENCY === config.currency) return Number(storeTotal).toFixed(2);
+  return (storeTotal * PAYPAL_FX_RATE).toFixed(2);
 }
 
 /* ===========================
@@ -82,7 +61,8 @@ function Toast({ kind = "error", message, onClose }) {
         <strong className="toast-title">
           {kind === "error" ? "Something went wrong" : "Notice"}
         </strong>
-        <div className="toast-msg">{message}</div>
+        {/* Field errors arrive one per line, e.g. "Item 1 Quantity: …" */}
+        <div className="toast-msg" style={{ whiteSpace: "pre-line" }}>{message}</div>
       </div>
       <button className="toast-close" onClick={onClose} aria-label="Close">✕</button>
     </div>
@@ -102,9 +82,11 @@ export default function Checkout() {
   const [city, setCity] = useState("Sydney");
   const [zip, setZip] = useState("2000");
 
-  // Cart & totals
-  const [cart, setCart] = useState(null);
-  const [loadingCart, setLoadingCart] = useState(true);
+  // Cart & totals (shared with the Cart page via the query cache)
+  const { data: cart, loading: loadingCart, error: cartError } = useQuery(
+    commerceKeys.cart,
+    getActiveCart
+  );
 
   // Payment flow
   const [method, setMethod] = useState("cod"); // 'cod' | 'paypal' | 'card' | 'esewa'
@@ -117,24 +99,10 @@ export default function Checkout() {
   const [error, setError] = useState("");
   const closeError = useCallback(() => setError(""), []);
 
-  // ---- Load Active Cart ----
+  // ---- Surface cart load failures ----
   useEffect(() => {
-    let alive = true;
-    (async () => {
-      try {
-        setLoadingCart(true);
-        const res = await fetch(CART_URL, { headers: authHeaders() });
-        if (!res.ok) throw new Error("Failed to load cart");
-        const j = await res.json();
-        if (alive) setCart(j);
-      } catch (e) {
-        setError(e.message || "Could not load cart");
-      } finally {
-        if (alive) setLoadingCart(false);
-      }
-    })();
-    return () => { alive = false; };
-  }, []);
+    if (cartError) setError(apiErrorMessage(cartError, "Could not load cart"));
+  }, [cartError]);
 
   // Compute totals from cart
   const subtotal = useMemo(() => {
@@ -169,7 +137,7 @@ export default function Checkout() {
       setPaypalCaptureId("");
 
       if (!PAYPAL_CLIENT_ID) {
-        setError("Missing PayPal sandbox client id (VITE_PAYPAL_CLIENT_ID).");
+        setError("Missing PayPal sandbox client id (paypal.clientId / VITE_PAYPAL_CLIENT_ID).");
         return;
       }
 
@@ -260,33 +228,29 @@ export default function Checkout() {
     setError("");
 
     try {
-      const res = await fetch(ORDER_URL, {
-        method: "POST",
-        headers: authHeaders(),
-        body: JSON.stringify({
-          full_name: fullName,
-          phone,
-          street,
-          city,
-          zip_code: zip,
-          payment_method: method === "cod" ? "cod" : "paypal",
-          shipping: shipping.toFixed(2),
-          discount: discount.toFixed(2),
-          paid: method === "paypal" ? true : false,
-          payment_ref: method === "paypal" ? (paypalCaptureId || paypalOrderId) : null,
-          items: orderItems,
-        }),
+      const j = await createOrder({
+        full_name: fullName,
+        phone,
+        street,
+        city,
+        zip_code: zip,
+        payment_method: method === "cod" ? "cod" : "paypal",
+        shipping: shipping.toFixed(2),
+        discount: discount.toFixed(2),
+        paid: method === "paypal" ? true : false,
+        payment_ref: method === "paypal" ? (paypalCaptureId || paypalOrderId) : null,
+        items: orderItems,
       });
 
-      if (!res.ok) {
-        const j = await res.json().catch(() => ({}));
-        throw new Error(j?.detail || "Order failed");
-      }
+      // The order empties the cart, adds an order and changes stock
+      invalidateQueries(commerceKeys.cart);
+      invalidateQueries(commerceKeys.orders);
+      invalidateQueries(commerceKeys.products);
+      invalidateQueries(commerceKeys.productDetails);
 
-      const j = await res.json();
       navigate("/orders", { replace: true, state: { placed: true, order: j } });
     } catch (e) {
-      setError(e.message || "Could not place order");
+      setError(apiErrorMessage(e, "Could not place order"));
     } finally {
       setPlacing(false);
     }
@@ -330,7 +294,7 @@ export default function Checkout() {
             <div className="mt-3">
               <div id="paypal-buttons-container" />
               <div className="hint" style={{ marginTop: 8 }}>
-                PayPal amount: {PAYPAL_CURRENCY} {toPaypalAmount(total)} (Your total is NPR {total.toLocaleString()})
+                PayPal amount: {PAYPAL_CURRENCY} {toPaypalAmount(total)} (Your total is {formatMoney(total)})
               </div>
               {paid ? (
                 <p style={{ marginTop: 8 }}>✅ Payment captured. You can place the order now.</p>
@@ -351,11 +315,11 @@ export default function Checkout() {
             <div className="row"><span>Your cart is empty.</span></div>
           ) : (
             <>
-              <div className="row"><span>Subtotal</span><span>NPR {subtotal.toLocaleString()}</span></div>
-              <div className="row"><span>Shipping</span><span>{shipping ? `NPR ${shipping}` : "Free"}</span></div>
-              <div className="row"><span>Discount</span><span>{discount ? `NPR ${discount}` : "—"}</span></div>
+              <div className="row"><span>Subtotal</span><span>{formatMoney(subtotal)}</span></div>
+              <div className="row"><span>Shipping</span><span>{shipping ? formatMoney(shipping) : "Free"}</span></div>
+              <div className="row"><span>Discount</span><span>{discount ? formatMoney(discount) : "—"}</span></div>
               <hr />
-              <div className="row"><strong>Total</strong><strong>NPR {total.toLocaleString()}</strong></div>
+              <div className="row"><strong>Total</strong><strong>{formatMoney(total)}</strong></div>
 
               <button
                 className="place-order-btn"
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { requestPasswordReset } from "../services/AuthService";
+import useCountdown from "../hooks/useCountdown";
+import FieldError from "../components/FieldError";
+import { ApiError, DEFAULT_COOLDOWN, invalidClass } from "../utils/errors";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+
+  const [loading, setLoading] = useState(false);
+  const [globalError, setGlobalError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [cooldown, startCooldown] = useCountdown();
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (cooldown) return;
+    setLoading(true);
+    setGlobalError("");
+    setFieldErrors({});
+
+    try {
+      await requestPasswordReset({ email: email.trim() });
+      setSent(true);
+    } catch (err) {
+      const { fieldErrors: fe, message, status, retryAfter } = ApiError.from(err);
+      if (status === 429) {
+        startCooldown(retryAfter ?? DEFAULT_COOLDOWN);
+        setGlobalError("Too many reset requests. Please wait before trying again.");
+      } else {
+        setFieldErrors(fe);
+        setGlobalError(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (sent) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Check your email</h2>
+        <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+          If an account exists for <strong>{email.trim()}</strong>, we've sent a link to reset your
+          password. The link expires after a while, so use it soon.
+        </p>
+        <p className="text-center mt-4 text-sm">
+          <button type="button" className="underline" style={{ color: "var(--bc-primary)" }} onClick={() => setSent(false)}>
+            Use a different email
+          </button>
+          {" · "}
+          <Link to="/login" className="underline" style={{ color: "var(--bc-primary)" }}>
+            Back to log in
+          </Link>
+        </p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="auth-card auth-wrap">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Forgot password</h2>
+      <p className="text-center mb-2 text-sm" style={{ color: "var(--bc-text-muted)" }}>
+        Enter the email on your account and we'll send you a reset link.
+      </p>
+
+      <form onSubmit={onSubmit} className="form-col">
+        <div className="form-field">
+          <label>Email</label>
+          <input
+            className={invalidClass(fieldErrors, "email")}
+            type="email"
+            placeholder="you@example.com"
+            required
+            value={email}
+            onChange={(e) => {
+              setEmail(e.target.value);
+              setFieldErrors((s) => ({ ...s, email: undefined }));
+              if (!cooldown) setGlobalError("");
+            }}
+            autoComplete="email"
+          />
+          <FieldError errors={fieldErrors} name="email" />
+        </div>
+
+        {globalError && (
+          <div className="text-center mt-2 whitespace-pre-line" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+            {globalError}
+            {cooldown > 0 && ` (${cooldown}s)`}
+          </div>
+        )}
+
+        <button type="submit" className="btn btn-primary w-full mt-1" disabled={loading || cooldown > 0}>
+          {loading ? "Sending..." : cooldown > 0 ? `Try again in ${cooldown}s` : "Send reset link"}
+        </button>
+      </form>
+
+      <p className="text-center mt-4 text-sm" style={{ color: "var(--bc-text-muted)" }}>
+        Remembered it?{" "}
+        <Link to="/login" className="underline" style={{ color: "var(--bc-primary)" }}>
+          Log in
+        </Link>
+      </p>
+    </section>
+  );
+}
@@ -1,65 +1,15 @@
 // src/pages/Feed.jsx
 import { useEffect, useRef, useState } from "react";
 import { Link } from "react-router-dom";
+import { isCancel } from "../apiClient";
+import { listPosts, addComment } from "../services/FeedService";
+import { mediaUrl } from "../config";
+import { apiErrorMessage } from "../utils/errors";
 import "../styles/globals.css";
 
-/* ===========================
-   ENV & BASE URLS (robust)
-=========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-
-// Prefer explicit media host (CDN). Fallback to API origin.
-const MEDIA_BASE_RAW =
-  import.meta.env?.VITE_MEDIA_BASE ||
-  API_BASE;
-
-const MEDIA_BASE = MEDIA_BASE_RAW.replace(/\/+$/, "");
-
-// Optional Basic auth fallback if no JWT
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
 /* ===========================
    Helpers
 =========================== */
-function absUrl(path) {
-  if (!path) return "";
-  if (/^(https?:|blob:|data:)/i.test(path)) return path;
-  if (path.startsWith("//")) return `${window.location.protocol}${path}`;
-  const clean = path.startsWith("/") ? path : `/${path}`;
-  const url = `${MEDIA_BASE}${clean}`;
-  if (!/^https?:\/\//i.test(url)) {
-    console.warn("absUrl produced a non-absolute URL:", url, "from", path, "MEDIA_BASE:", MEDIA_BASE);
-  }
-  return url;
-}
-
-function getJwt() {
-  return localStorage.getItem("access") || "";
-}
-
-function getCookie(name) {
-  const value = `; ${document.cookie}`;
-  const parts = value.split(`; ${name}=`);
-  if (parts.length === 2) return parts.pop()?.split(";").shift() || "";
-  return "";
-}
-
-function authHeaders(base = {}) {
-  const headers = { Accept: "application/json", ...base };
-  const jwt = getJwt();
-  if (jwt) headers.Authorization = `Bearer ${jwt}`;
-  else if (BASIC_USER && BASIC_PASS) headers.Authorization = `Basic ${btoa(`${BASIC_USER}:${BASIC_PASS}`)}`;
-  const csrf = getCookie("csrftoken");
-  if (csrf) headers["X-CSRFTOKEN"] = csrf;
-  return headers;
-}
-
 function relativeTime(iso) {
   if (!iso) return "";
   const then = new Date(iso).getTime();
@@ -124,25 +74,20 @@ export default function Feed() {
 
   // Fetch posts once
   useEffect(() => {
-    let cancelled = false;
+    const controller = new AbortController();
     (async () => {
       setLoading(true);
       setErr("");
       try {
-        const res = await fetch(`${API_BASE}/api/feed/posts/`, {
-          headers: authHeaders(),
-          credentials: "include",
-        });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const data = await res.json();
-        if (!cancelled) setPosts(Array.isArray(data) ? data : []);
+        const data = await listPosts({ signal: controller.signal });
+        setPosts(Array.isArray(data) ? data : []);
       } catch (e) {
-        if (!cancelled) setErr(e.message || "Failed to load posts");
+        if (!isCancel(e)) setErr(apiErrorMessage(e, "Failed to load posts"));
       } finally {
-        if (!cancelled) setLoading(false);
+        if (!controller.signal.aborted) setLoading(false);
       }
     })();
-    return () => { cancelled = true; };
+    return () => controller.abort();
   }, []);
 
   // Auto-play per visible reel
@@ -211,7 +156,7 @@ function Reel({ post, onOpenComments }) {
   const [isPlaying, setIsPlaying] = useState(true);
   const [isMuted, setIsMuted] = useState(true);
 
-  const mediaUrl = absUrl(post.post_media);
+  const src = mediaUrl(post.post_media);
   const kind = detectMediaKind(post.type, post.post_media);
   const shouldRenderVideo = kind === "video" && !forceImage;
   const isHls = kind === "hls";
@@ -246,13 +191,13 @@ function Reel({ post, onOpenComments }) {
       {isHls ? (
         <div className="reel-unsupported">
           <p>HLS (.m3u8) needs hls.js to play.</p>
-          <a href={mediaUrl} target="_blank" rel="noreferrer">Open source</a>
+          <a href={src} target="_blank" rel="noreferrer">Open source</a>
         </div>
       ) : shouldRenderVideo ? (
         <>
           <video
             ref={vidRef}
-            src={mediaUrl}
+            src={src}
             autoPlay
             loop
             muted={isMuted}
@@ -269,7 +214,7 @@ function Reel({ post, onOpenComments }) {
         </>
       ) : (
         <img
-          src={mediaUrl}
+          src={src}
           alt={post.caption || "post"}
           crossOrigin="anonymous"
           onError={(e) => { e.currentTarget.style.opacity = 0.3; }}
@@ -332,25 +277,12 @@ function CommentsDrawer({ postId, initialComments, onClose, onCreated }) {
     setErr("");
 
     try {
-      const res = await fetch(
-        `${API_BASE}/api/feed/posts/${postId}/comments/`,
-        {
-          method: "POST",
-          headers: authHeaders({ "Content-Type": "application/json" }),
-          credentials: "include",
-          body: JSON.stringify({ text }),
-        }
-      );
-      if (!res.ok) {
-        const t = await res.text().catch(() => "");
-        throw new Error(`HTTP ${res.status} ${t || ""}`.trim());
-      }
-      const created = await res.json();
+      const created = await addComment(postId, text);
       setComments((prev) => [...prev, created]);
       onCreated?.(created); // update parent post state
       setNewComment("");
     } catch (e) {
-      setErr(e.message || "Failed to post comment");
+      setErr(apiErrorMessage(e, "Failed to post comment"));
     } finally {
       setPosting(false);
     }
@@ -370,7 +302,7 @@ function CommentsDrawer({ postId, initialComments, onClose, onCreated }) {
           <div key={c.id} className="comment-item sleek">
             <img
               className="comment-avatar sleek"
-              src={c?.user?.avatar ? absUrl(c.user.avatar) : "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///ywAAAAAAQABAAACAUwAOw=="}
+              src={c?.user?.avatar ? mediaUrl(c.user.avatar) : "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///ywAAAAAAQABAAACAUwAOw=="}
               alt={c?.user?.username || "user"}
             />
             <div className="comment-body sleek">
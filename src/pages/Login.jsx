@@ -1,22 +1,29 @@
 import { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import axios from "axios";
-import { normalizeApiErrors, firstError } from "../utils/errors";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { tokenStore } from "../apiClient";
+import useAuth from "../hooks/useAuth";
+import { returnPath } from "../utils/redirect";
+import { beginOAuth, oauthProviders } from "../utils/oauth";
+import { ApiError, firstError } from "../utils/errors";
 
 export default function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { login, verifyMfa } = useAuth();
+  const sessionExpired = !!location.state?.expired;
 
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
+  const [remember, setRemember] = useState(true);
 
   const [loading, setLoading] = useState(false);
   const [globalError, setGlobalError] = useState("");
   const [fieldErrors, setFieldErrors] = useState({});
 
-  // Vite env fallback to localhost
-  const API_BASE =
-    (typeof import.meta !== "undefined" && import.meta.env && import.meta.env.VITE_API_BASE) ||
-    "http://127.0.0.1:8001";
+  // Second step for accounts with two-factor auth (social sign-in lands here with one)
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken ?? null);
+  const [code, setCode] = useState("");
+  const [useRecovery, setUseRecovery] = useState(false);
 
   const onSubmit = async (e) => {
     e.preventDefault();
@@ -35,31 +42,21 @@ export default function Login() {
     }
 
     try {
-      const res = await axios.post(
-        `${API_BASE.replace(/\/+$/, "")}/api/auths/token/`,
-        { username, password },
-        { headers: { "Content-Type": "application/json", Accept: "application/json" } }
-      );
-
-      const { access, refresh } = res.data || {};
-      if (access) localStorage.setItem("access", access);
-      if (refresh) localStorage.setItem("refresh", refresh);
-
-      // (Optional) decode claims for debugging
-      // try { const [, p] = access.split("."); console.log(JSON.parse(atob(p.replace(/-/g, "+").replace(/_/g, "/")))); } catch {}
-
-      navigate("/");
+      const result = await login({ username, password, remember });
+      if (result?.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        return;
+      }
+      navigate(returnPath(location.state), { replace: true });
     } catch (err) {
-      // Prefer server payload → normalize for consistent UI
-      const data = err?.response?.data || { detail: "Invalid credentials or server error" };
-      const { fieldErrors: fe, message } = normalizeApiErrors(data);
+      const { fieldErrors: fe, message, status } = ApiError.from(err);
 
       // If backend returns only `detail`, show it as global error.
       setFieldErrors(fe);
       setGlobalError(message || "Unable to log in. Please try again.");
 
       // Common 401/400: add friendly hints if no field-level errors
-      if (!fe.username && !fe.password && err?.response?.status === 401) {
+      if (!fe.username && !fe.password && status === 401) {
         setFieldErrors({
           ...fe,
           password: ["Invalid username or password"],
@@ -70,6 +67,57 @@ export default function Login() {
     }
   };
 
+  const onProvider = async (id) => {
+    setGlobalError("");
+    try {
+      // Leaves the app; AuthCallback picks up from here
+      await beginOAuth(id, { intent: "login", returnTo: returnPath(location.state), remember });
+    } catch (err) {
+      setGlobalError(err.message);
+    }
+  };
+
+  const resetMfa = () => {
+    setMfaToken(null);
+    setCode("");
+    setUseRecovery(false);
+    setPassword("");
+  };
+
+  const onVerify = async (e) => {
+    e.preventDefault();
+    setGlobalError("");
+    setFieldErrors({});
+
+    const value = useRecovery ? code.trim() : code.replace(/\s/g, "");
+    if (!useRecovery && !/^\d{6}$/.test(value)) {
+      setFieldErrors({ code: ["Enter the 6-digit code from your authenticator app"] });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await verifyMfa({ mfaToken, code: value, recovery: useRecovery, remember });
+      navigate(returnPath(location.state), { replace: true });
+    } catch (err) {
+      const { fieldErrors: fe, message, status, code: errorCode } = ApiError.from(err);
+      // The challenge itself has run out – start over from the password
+      if (errorCode === "mfa_token_expired" || errorCode === "token_expired" || fe.mfa_token) {
+        resetMfa();
+        setGlobalError("Your sign-in attempt expired. Please log in again.");
+        return;
+      }
+      const codeError =
+        firstError(fe, "code") ||
+        firstError(fe, "recovery_code") ||
+        (status === 400 || status === 401 ? "That code didn't work. Try again." : "");
+      if (codeError) setFieldErrors({ code: [codeError] });
+      else setGlobalError(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const invalidClass = (name) =>
     firstError(fieldErrors, name) ? "input w-full ring-1 ring-red-400" : "input w-full";
 
@@ -83,10 +131,96 @@ export default function Login() {
     );
   };
 
+  if (mfaToken !== null) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Two-factor authentication</h2>
+        <p className="text-center mb-2 text-sm" style={{ color: "var(--bc-text-muted)" }}>
+          {useRecovery
+            ? "Enter one of the recovery codes you saved when you turned on two-factor authentication."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+
+        <form onSubmit={onVerify} className="form-col">
+          <div className="form-field">
+            <label>{useRecovery ? "Recovery code" : "Authentication code"}</label>
+            <input
+              className={invalidClass("code")}
+              type="text"
+              placeholder={useRecovery ? "xxxx-xxxx" : "123456"}
+              required
+              autoFocus
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                setFieldErrors({});
+                setGlobalError("");
+              }}
+              inputMode={useRecovery ? "text" : "numeric"}
+              maxLength={useRecovery ? 32 : 7}
+              autoComplete="one-time-code"
+            />
+            <FieldError name="code" />
+          </div>
+
+          {globalError && (
+            <div className="text-center mt-2 whitespace-pre-line" style={{ color: "var(--bc-danger, #ef4444)" }}>
+              {globalError}
+            </div>
+          )}
+
+          <button type="submit" className="btn btn-primary w-full mt-1" disabled={loading}>
+            {loading ? "Verifying..." : "Verify"}
+          </button>
+        </form>
+
+        <p className="text-center mt-4 text-sm">
+          <button
+            type="button"
+            className="underline"
+            style={{ color: "var(--bc-primary)" }}
+            onClick={() => {
+              setUseRecovery((r) => !r);
+              setCode("");
+              setFieldErrors({});
+              setGlobalError("");
+            }}
+          >
+            {useRecovery ? "Use your authenticator app" : "Use a recovery code"}
+          </button>
+          {" · "}
+          <button type="button" className="underline" style={{ color: "var(--bc-primary)" }} onClick={resetMfa}>
+            Back to log in
+          </button>
+        </p>
+      </section>
+    );
+  }
+
   return (
     <section className="auth-card auth-wrap">
       <h2 className="text-2xl font-semibold mb-4 text-center">Log in</h2>
 
+      {sessionExpired && (
+        <div className="text-center mb-2 text-sm" role="status" style={{ color: "var(--bc-warning, #ffb300)" }}>
+          {location.state?.reason === "idle"
+            ? "You were signed out after a period of inactivity. Please log in again."
+            : "Your session has expired. Please log in again."}
+        </div>
+      )}
+
+      {location.state?.activated && (
+        <div className="text-center mb-2 text-sm" role="status" style={{ color: "var(--bc-success, #00c853)" }}>
+          Your email is confirmed. Log in to get started.
+        </div>
+      )}
+
+      {location.state?.passwordReset && (
+        <div className="text-center mb-2 text-sm" role="status" style={{ color: "var(--bc-success, #00c853)" }}>
+          Your password has been reset. Log in with your new password.
+        </div>
+      )}
+
       <form onSubmit={onSubmit} className="form-col">
         <div className="form-field">
           <label>Username</label>
@@ -122,8 +256,23 @@ export default function Login() {
             autoComplete="current-password"
           />
           <FieldError name="password" />
+          <Link to="/forgot-password" className="text-xs underline" style={{ display: "block", textAlign: "right", marginTop: "0.35rem", color: "var(--bc-text-muted)" }}>
+            Forgot password?
+          </Link>
         </div>
 
+        {/* Only offered when tokens live in localStorage (see utils/tokenStorage) */}
+        {tokenStore.mode === "local" && (
+          <label className="text-sm" style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+            />
+            Remember me
+          </label>
+        )}
+
         {globalError && (
           <div className="text-center mt-2 whitespace-pre-line" style={{ color: "var(--bc-danger, #ef4444)" }}>
             {globalError}
@@ -135,9 +284,22 @@ export default function Login() {
         </button>
       </form>
 
+      {oauthProviders().length > 0 && (
+        <div className="form-col mt-4">
+          <p className="text-center text-sm" style={{ color: "var(--bc-text-muted)" }}>
+            or continue with
+          </p>
+          {oauthProviders().map((p) => (
+            <button key={p.id} type="button" className="btn btn-outline w-full" onClick={() => onProvider(p.id)}>
+              {p.name || p.id}
+            </button>
+          ))}
+        </div>
+      )}
+
       <p className="text-center mt-4 text-sm" style={{ color: "var(--bc-text-muted)" }}>
         No account?{" "}
-        <Link to="/register" className="underline" style={{ color: "var(--bc-primary)" }}>
+        <Link to="/register" state={location.state} className="underline" style={{ color: "var(--bc-primary)" }}>
           Register
         </Link>
       </p>
@@ -1,50 +1,17 @@
-import { useEffect, useMemo, useState } from "react";
+import { useMemo } from "react";
 import { useNavigate } from "react-router-dom";
+import { listOrders, commerceKeys } from "../services/CommerceService";
+import useQuery from "../hooks/useQuery";
+import config, { mediaUrl, formatMoney } from "../config";
+import { apiErrorMessage } from "../utils/errors";
 import "../styles/orders.css";
 
-/* ===========================
-   ENV & BASE URLS (robust)
-=========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-
-// Prefer explicit media host (CDN). Fallback to API origin.
-const MEDIA_BASE_RAW = import.meta.env?.VITE_MEDIA_BASE || API_BASE;
-const MEDIA_BASE = MEDIA_BASE_RAW.replace(/\/+$/, "");
-
-// Optional Basic auth fallback if no JWT (dev only)
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
-// Currency (defaults)
-const CURRENCY_CODE = import.meta.env?.VITE_CURRENCY_CODE || "NPR";
-const LOCALE = import.meta.env?.VITE_LOCALE || "en-NP";
+const { locale: LOCALE } = config;
 
 /* ===========================
    Helpers
 =========================== */
-function absUrl(path) {
-  if (!path) return "";
-  if (/^(https?:|blob:|data:)/i.test(path)) return path;
-  return `${MEDIA_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
-}
-
-function currency(n) {
-  const num = Number(n || 0);
-  try {
-    return new Intl.NumberFormat(LOCALE, {
-      style: "currency",
-      currency: CURRENCY_CODE,
-      maximumFractionDigits: 2,
-    }).format(num);
-  } catch {
-    return `${CURRENCY_CODE} ${num.toLocaleString()}`;
-  }
-}
+const currency = (n) => formatMoney(n);
 
 function fmtDate(iso) {
   try {
@@ -77,77 +44,23 @@ function friendlyOrderId(id, createdAt) {
   return `ORD-${yyyymmdd(createdAt)}-${short}`;
 }
 
-function getAuthHeaders() {
-  const token =
-    localStorage.getItem("access") ||
-    localStorage.getItem("jwt") ||
-    localStorage.getItem("token") ||
-    "";
-
-  if (token) {
-    return { Authorization: `Bearer ${token}` };
-  }
-  if (BASIC_USER && BASIC_PASS) {
-    const b64 = btoa(`${BASIC_USER}:${BASIC_PASS}`);
-    return { Authorization: `Basic ${b64}` };
-  }
-  return {};
-}
-
 /* ===========================
    Component
 =========================== */
 export default function Orders() {
   const navigate = useNavigate();
-  const [ordersRaw, setOrdersRaw] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [err, setErr] = useState("");
-
-  useEffect(() => {
-    let cancelled = false;
-
-    async function load() {
-      setLoading(true);
-      setErr("");
-
-      try {
-        const url = `${API_BASE}/api/commerce/orders/`;
-        const res = await fetch(url, {
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json",
-            ...getAuthHeaders(),
-          },
-        });
-
-        if (!res.ok) {
-          const text = await res.text();
-          throw new Error(`HTTP ${res.status}: ${text || res.statusText}`);
-        }
-
-        const data = await res.json();
-        if (!cancelled) setOrdersRaw(Array.isArray(data) ? data : []);
-      } catch (e) {
-        if (!cancelled) setErr(e.message || "Failed to load orders.");
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
-    }
-
-    load();
-    return () => {
-      cancelled = true;
-    };
-  }, []);
+  const { data, loading, error, refetch } = useQuery(commerceKeys.orders, listOrders);
+  const err = error ? apiErrorMessage(error, "Failed to load orders.") : "";
 
   const orders = useMemo(() => {
-    return (ordersRaw || []).map((o) => {
+    const ordersRaw = Array.isArray(data) ? data : [];
+    return ordersRaw.map((o) => {
       const items = (o.items || []).map((it) => ({
         name: it?.product_details?.name || "Product",
         qty: Number(it?.quantity || 0),
         unit_price: Number(it?.unit_price || 0),
         line_total: Number(it?.line_total || (Number(it?.unit_price || 0) * Number(it?.quantity || 0))),
-        img: absUrl(it?.product_details?.image || ""),
+        img: mediaUrl(it?.product_details?.image || ""),
       }));
 
       return {
@@ -171,7 +84,7 @@ export default function Orders() {
         items,
       };
     });
-  }, [ordersRaw]);
+  }, [data]);
 
   if (loading) {
     return (
@@ -222,7 +135,7 @@ export default function Orders() {
         </div>
         <div className="empty-state surface">
           <p>We couldn’t load your orders. Please try again.</p>
-          <button className="btn btn-primary" onClick={() => window.location.reload()}>
+          <button className="btn btn-primary" onClick={refetch}>
             Retry
           </button>
         </div>
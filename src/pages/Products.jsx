@@ -1,24 +1,36 @@
-import { useEffect, useMemo, useState } from "react";
-import { Link } from "react-router-dom";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { listProducts, commerceKeys } from "../services/CommerceService";
+import useQuery from "../hooks/useQuery";
+import { getQueryData } from "../utils/queryCache";
+import Pagination from "../components/Pagination";
+import SearchBox from "../components/SearchBox";
+import Highlight from "../components/Highlight";
+import ProductFilters, { FilterChips } from "../components/ProductFilters";
+import AddToCart from "../components/AddToCart";
+import QuickViewModal from "../components/QuickViewModal";
+import config, { mediaUrl, formatMoney } from "../config";
+import { apiErrorMessage } from "../utils/errors";
+import { EMPTY_FILTERS, applyFilters, hasFilters, parseFilters, toApiParams, writeFilters } from "../utils/productFilters";
 import "../styles/products.css";
 
-const API_BASE =
-  import.meta.env?.VITE_API_BASE?.replace(/\/+$/, "") || "http://127.0.0.1:8001";
-const MEDIA_BASE =
-  import.meta.env?.VITE_MEDIA_BASE?.replace(/\/+$/, "") || API_BASE;
+const PAGE_SIZE = 24;
+const VIEWS = ["pages", "scroll"]; // numbered pages | infinite scroll
 
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
+// ?sort= keys → DRF `ordering`. Every ordering ends in `id` so products with
+// equal values keep one order and never shift between pages.
+const SORTS = {
+  newest: { label: "Newest", ordering: "-created_at" },
+  price_asc: { label: "Price: Low to High", ordering: "price" },
+  price_desc: { label: "Price: High to Low", ordering: "-price" },
+  name: { label: "Name: A to Z", ordering: "name" },
+  popular: { label: "Most ordered", ordering: "-order_count" },
+  stock: { label: "Most in stock", ordering: "-quantity" },
+};
+const DEFAULT_SORT = "newest";
+
+const orderingFor = (sort) => `${SORTS[sort].ordering},id`;
 
-function joinUrl(base, path) {
-  if (!path) return "";
-  if (/^(https?:|blob:|data:)/i.test(path)) return path;
-  return `${base.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
-}
-function formatPrice(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n.toLocaleString("ne-NP") : x;
-}
 function localTime(iso) {
   try {
     return new Date(iso).toLocaleString();
@@ -26,49 +38,217 @@ function localTime(iso) {
     return iso || "";
   }
 }
-function authHeaders() {
-  const h = { Accept: "application/json" };
-  const token = localStorage.getItem("access") || localStorage.getItem("token");
-  if (token) h.Authorization = `Bearer ${token}`;
-  else if (BASIC_USER && BASIC_PASS)
-    h.Authorization = `Basic ${btoa(`${BASIC_USER}:${BASIC_PASS}`)}`;
-  return h;
+
+// Same params → same cache entry, so the header and the grid share one request.
+// Filters go to the API only when it supports them (config.catalog.serverFilters).
+function productParams(page, { search, filters, sort }) {
+  const params = { page, pageSize: PAGE_SIZE, search, ordering: orderingFor(sort) };
+  if (config.catalog.serverFilters && hasFilters(filters)) params.filters = toApiParams(filters);
+  return params;
+}
+
+function useProductPage(page, query) {
+  const params = productParams(page, query);
+  return useQuery(commerceKeys.productList(params), (opts) => listProducts({ ...params, ...opts }));
 }
 
-export default function Products() {
-  const [items, setItems] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
-  const [sort, setSort] = useState("default");
+// The API may cap or ignore page_size, so take the size from a page that has
+// a `next` (it must be full): this one, or page 1 if it's cached. Null when
+// neither is known, e.g. a link straight to the last page.
+function servedPageSize(data, query) {
+  const full = data?.next ? data : getQueryData(commerceKeys.productList(productParams(1, query)));
+  return full?.next ? full.results?.length || null : null;
+}
+
+/* ===========================
+   Card
+=========================== */
+function ProductCard({ p, search, onQuickView }) {
+  const img = mediaUrl(p.image);
+  return (
+    <article className={`product-card ${!p.in_stock ? "is-out" : ""}`}>
+      <Link to={`/products/${p.id}`} className="product-thumb">
+        <img src={img} alt={p.name} />
+        {!p.in_stock && <span className="pill">Out of stock</span>}
+      </Link>
+
+      <div className="product-body">
+        <h3 className="product-title">
+          <Link to={`/products/${p.id}`}>
+            <Highlight text={p.name} query={search} />
+          </Link>
+        </h3>
+
+        <div className="price">{formatMoney(p.price)}</div>
+
+        <div className="meta-line">
+          <span>Seller:</span> <Highlight text={p.seller} query={search} />
+        </div>
+        <div className="meta-line">
+          <span>ID:</span> {String(p.id).slice(0, 8)}
+        </div>
+        <div className="meta-line">
+          <span>Qty:</span> {p.quantity}
+        </div>
+        <div className="meta-line">
+          <span>Added:</span> {localTime(p.created_at)}
+        </div>
+
+        {p.description && (
+          <p className="desc" title={p.description}>
+            <Highlight text={p.description} query={search} />
+          </p>
+        )}
+
+        <div className="product-actions">
+          <Link to={`/products/${p.id}`} className="btn btn-view">
+            View
+          </Link>
+          <button type="button" className="btn btn-view" onClick={() => onQuickView(p)}>
+            Quick view
+          </button>
+        </div>
+        <AddToCart product={p} />
+      </div>
+    </article>
+  );
+}
+
+/* ===========================
+   Infinite scroll
+=========================== */
+// Asks for the next page once it scrolls into view; the button covers
+// browsers without IntersectionObserver and keyboard users
+function LoadMore({ onMore }) {
+  const ref = useRef(null);
 
   useEffect(() => {
-    (async () => {
-      try {
-        setLoading(true);
-        const res = await fetch(`${API_BASE}/api/commerce/products/`, {
-          headers: authHeaders(),
-        });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const data = await res.json();
-        setItems(Array.isArray(data) ? data : []);
-      } catch (e) {
-        setError(e.message);
-      } finally {
-        setLoading(false);
-      }
-    })();
-  }, []);
+    const el = ref.current;
+    if (!el || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      (entries) => entries.some((e) => e.isIntersecting) && onMore(),
+      { rootMargin: "400px 0px" }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [onMore]);
+
+  return (
+    <div ref={ref} className="load-more">
+      <button type="button" className="btn btn-view" onClick={onMore}>
+        Load more
+      </button>
+    </div>
+  );
+}
 
+// One page of cards, followed by the next page while `page < through`.
+// Chaining means page N+1 is only requested once page N says there is one.
+function ProductPage({ page, through, query, onMore, onQuickView }) {
+  const { data, loading, error, refetch } = useProductPage(page, query);
   const products = useMemo(() => {
-    const a = [...items];
-    if (sort === "price_asc")
-      a.sort((x, y) => Number(x.price) - Number(y.price));
-    if (sort === "price_desc")
-      a.sort((x, y) => Number(y.price) - Number(x.price));
-    if (sort === "newest")
-      a.sort((x, y) => new Date(y.created_at) - new Date(x.created_at));
-    return a;
-  }, [items, sort]);
+    const results = data?.results || [];
+    return config.catalog.serverFilters ? results : applyFilters(results, query.filters);
+  }, [data, query.filters]);
+
+  if (loading) return page > 1 ? <div className="load-more">Loading more…</div> : null;
+  if (error && !data) {
+    return page > 1 ? (
+      <div className="load-more">
+        <span>{apiErrorMessage(error, "Failed to load more products")}</span>
+        <button type="button" className="btn btn-view" onClick={refetch}>
+          Retry
+        </button>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <>
+      {products.map((p) => (
+        <ProductCard key={p.id} p={p} search={query.search} onQuickView={onQuickView} />
+      ))}
+      {data.next && page < through && (
+        <ProductPage page={page + 1} through={through} query={query} onMore={onMore} onQuickView={onQuickView} />
+      )}
+      {data.next && page >= through && onMore && <LoadMore onMore={onMore} />}
+    </>
+  );
+}
+
+/* ===========================
+   Page
+   ?page=N  – the page shown, or in scroll view how many pages are loaded
+   ?view=scroll – infinite scroll instead of numbered pages
+   ?search=…    – server-side search (name, seller, description)
+   ?sort=…      – a SORTS key, sent as `ordering`
+   filters      – see utils/productFilters
+=========================== */
+export default function Products() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const page = Math.max(1, parseInt(searchParams.get("page"), 10) || 1);
+  const view = VIEWS.includes(searchParams.get("view")) ? searchParams.get("view") : "pages";
+  const scroll = view === "scroll";
+  const search = searchParams.get("search") || "";
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+
+  const sort = SORTS[searchParams.get("sort")] ? searchParams.get("sort") : DEFAULT_SORT;
+  const query = useMemo(() => ({ search, filters, sort }), [search, filters, sort]);
+
+  const [quickView, setQuickView] = useState(null); // product shown in the modal
+  const closeQuickView = useCallback(() => setQuickView(null), []);
+
+  // Page 1 (scroll) or the current page (numbered) drives the header and pager
+  const { data, loading, error: loadError } = useProductPage(scroll ? 1 : page, query);
+  const missingPage = loadError?.status === 404 && page > 1;
+  const error = loadError && !missingPage ? apiErrorMessage(loadError, "Failed to load products") : "";
+  const count = data?.count ?? 0;
+  // Filtering in the browser only sees the loaded page: the header counts
+  // matches on it, while paging still follows the server's totals
+  const clientFiltered = !config.catalog.serverFilters && hasFilters(filters);
+  const shown = clientFiltered ? applyFilters(data?.results || [], filters).length : count;
+  const pageSize = servedPageSize(data, query);
+  // null: more than one page, but how many is unknown – Pagination shows Prev/Next only
+  const totalPages = !(data?.next || data?.previous)
+    ? 1
+    : pageSize
+      ? Math.max(page, Math.ceil(count / pageSize))
+      : null;
+
+  const updateParams = (changes, options) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([k, v]) => (v ? next.set(k, String(v)) : next.delete(k)));
+    setSearchParams(next, options);
+  };
+
+  // Typing refines the same search – replace, don't stack history entries
+  const onSearch = (q) => updateParams({ search: q, page: null }, { replace: true });
+
+  // Seller choices: the API's facet counts if it sends them, else this page's sellers
+  const sellerOptions = useMemo(() => {
+    if (Array.isArray(data?.facets?.seller)) return data.facets.seller;
+    const seen = [...new Set((data?.results || []).map((p) => String(p.seller ?? "")).filter(Boolean))];
+    return seen.sort().map((value) => ({ value }));
+  }, [data]);
+
+  // A new filter set starts again from page 1
+  const onFilters = (next) => {
+    const params = writeFilters(searchParams, next);
+    params.delete("page");
+    setSearchParams(params);
+  };
+  const clearFilters = () => onFilters(EMPTY_FILTERS);
+
+  const goToPage = (n) => updateParams({ page: n > 1 ? n : null });
+
+  // Growing the list must neither add history entries nor jump to the top
+  const loadMore = () => updateParams({ page: page + 1 }, { replace: true, preventScrollReset: true });
+  // Stable for LoadMore's observer; always runs the latest loadMore
+  const loadMoreRef = useRef(loadMore);
+  useEffect(() => {
+    loadMoreRef.current = loadMore;
+  });
+  const onMore = useCallback(() => loadMoreRef.current(), []);
 
   return (
     <section className="container">
@@ -76,77 +256,91 @@ export default function Products() {
         <div>
           <h1 className="text-2xl">Products</h1>
           <p className="lead">
-            {loading ? "Loading..." : `${products.length} items`}
+            {loading
+              ? "Loading..."
+              : clientFiltered
+                ? `${shown} ${shown === 1 ? "match" : "matches"} on this page${search ? ` for “${search}”` : ""}`
+                : search
+                  ? `${count} results for “${search}”`
+                  : `${count} items`}
           </p>
         </div>
-        <select
-          className="select"
-          value={sort}
-          onChange={(e) => setSort(e.target.value)}
-        >
-          <option value="default">Default sorting</option>
-          <option value="price_asc">Price: Low to High</option>
-          <option value="price_desc">Price: High to Low</option>
-          <option value="newest">Newest</option>
-        </select>
+        <div className="products-controls">
+          <SearchBox value={search} onChange={onSearch} />
+          <select
+            className="select"
+            value={view}
+            onChange={(e) => updateParams({ view: e.target.value === "scroll" ? "scroll" : null })}
+            aria-label="Browse by"
+          >
+            <option value="pages">Pages</option>
+            <option value="scroll">Infinite scroll</option>
+          </select>
+          <select
+            className="select"
+            value={sort}
+            onChange={(e) => updateParams({ sort: e.target.value === DEFAULT_SORT ? null : e.target.value, page: null })}
+            aria-label="Sort by"
+          >
+            {Object.entries(SORTS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
+      <FilterChips filters={filters} onChange={onFilters} onClear={clearFilters} />
+
       {error && <div className="alert alert-error">{error}</div>}
 
-      <div className="product-grid">
-        {!loading && !error && products.length === 0 && (
-          <div className="empty">No products found</div>
-        )}
+      {missingPage && (
+        <div className="empty">
+          This page doesn't exist.{" "}
+          <button type="button" className="btn btn-view" onClick={() => goToPage(1)}>
+            Go to the first page
+          </button>
+        </div>
+      )}
 
-        {products.map((p) => {
-          const img = joinUrl(MEDIA_BASE, p.image);
-          return (
-            <article
-              key={p.id}
-              className={`product-card ${!p.in_stock ? "is-out" : ""}`}
-            >
-              <Link to={`/products/${p.id}`} className="product-thumb">
-                <img src={img} alt={p.name} />
-                {!p.in_stock && <span className="pill">Out of stock</span>}
-              </Link>
-
-              <div className="product-body">
-                <h3 className="product-title">
-                  <Link to={`/products/${p.id}`}>{p.name}</Link>
-                </h3>
-
-                <div className="price">AUD {formatPrice(p.price)}</div>
-
-                <div className="meta-line">
-                  <span>Seller:</span> {p.seller}
-                </div>
-                <div className="meta-line">
-                  <span>ID:</span> {String(p.id).slice(0, 8)}
-                </div>
-                <div className="meta-line">
-                  <span>Qty:</span> {p.quantity}
-                </div>
-                <div className="meta-line">
-                  <span>Added:</span> {localTime(p.created_at)}
-                </div>
-
-                {p.description && (
-                  <p className="desc" title={p.description}>
-                    {p.description}
-                  </p>
-                )}
+      <div className="products-layout">
+        <ProductFilters filters={filters} sellers={sellerOptions} onChange={onFilters} />
 
-                <div className="product-actions">
-                  <Link to={`/products/${p.id}`} className="btn btn-view">
-                    View
-                  </Link>
-               
-                </div>
+        <div>
+          <div className="product-grid">
+            {!loading && !error && !missingPage && shown === 0 && (
+              <div className="empty">
+                {clientFiltered && totalPages !== 1
+                  ? "No products on this page match these filters"
+                  : search
+                    ? `No products match “${search}”`
+                    : hasFilters(filters)
+                      ? "No products match these filters"
+                      : "No products found"}
+                {hasFilters(filters) && (
+                  <>
+                    {" "}
+                    <button type="button" className="btn btn-view" onClick={clearFilters}>
+                      Clear filters
+                    </button>
+                  </>
+                )}
               </div>
-            </article>
-          );
-        })}
+            )}
+
+            {scroll ? (
+              <ProductPage page={1} through={page} query={query} onMore={onMore} onQuickView={setQuickView} />
+            ) : (
+              <ProductPage page={page} through={page} query={query} onQuickView={setQuickView} />
+            )}
+          </div>
+
+          {!scroll && totalPages !== 1 && (
+            <Pagination page={page} totalPages={totalPages} hasNext={!!data?.next} onChange={goToPage} />
+          )}
+        </div>
       </div>
+
+      {quickView && <QuickViewModal product={quickView} onClose={closeQuickView} />}
     </section>
   );
 }
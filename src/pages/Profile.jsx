@@ -1,48 +1,20 @@
 // src/pages/Profile.jsx
 import { useEffect, useRef, useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { mediaUrl } from "../config";
+import { updateProfile, changePassword } from "../services/AuthService";
+import useAuth from "../hooks/useAuth";
+import ResendVerification from "../components/ResendVerification";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import LinkedAccounts from "../components/LinkedAccounts";
+import { apiErrorMessage } from "../utils/errors";
+import { validatePassword } from "../utils/passwordPolicy";
 import "../styles/profile.css";
 
-/* ===========================
-   ENV & BASE URLS
-=========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-const MEDIA_BASE_RAW = import.meta.env?.VITE_MEDIA_BASE || API_BASE;
-const MEDIA_BASE = MEDIA_BASE_RAW.replace(/\/+$/, "");
-
-// Optional Basic auth fallback if no JWT (dev only)
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
 /* ===========================
    Helpers
 =========================== */
-function absUrl(path) {
-  if (!path) return "";
-  if (/^(https?:|blob:|data:)/i.test(path)) return path;
-  return `${MEDIA_BASE}${path.startsWith("/") ? "" : "/"}${path}`;
-}
-function getAccessToken() {
-  return (
-    localStorage.getItem("access") ||
-    localStorage.getItem("ACCESS_TOKEN") ||
-    sessionStorage.getItem("access") ||
-    ""
-  );
-}
-function authHeaders(extra = {}) {
-  const token = getAccessToken();
-  if (token) return { Authorization: `Bearer ${token}`, ...extra };
-  if (BASIC_USER && BASIC_PASS) {
-    const basic = btoa(`${BASIC_USER}:${BASIC_PASS}`);
-    return { Authorization: `Basic ${basic}`, ...extra };
-  }
-  return { ...extra };
-}
 function formatDate(iso) {
   if (!iso) return "—";
   const d = new Date(iso);
@@ -59,9 +31,11 @@ function formatDate(iso) {
 =========================== */
 export default function Profile() {
   const navigate = useNavigate();
+  const location = useLocation();
   const fileRef = useRef(null);
+  const { user, profile, profileError, refreshProfile, logout } = useAuth();
 
-  const [loading, setLoading] = useState(true);
+  const loading = !profile && !profileError;
   const [saving, setSaving] = useState(false);
   const [pwdSaving, setPwdSaving] = useState(false);
 
@@ -93,52 +67,45 @@ export default function Profile() {
   // 🔹 Single document
   const [document, setDocument] = useState(null);
 
+  // What a new password mustn't resemble (see utils/passwordPolicy)
+  const passwordUser = { username, email, first_name: firstName, last_name: lastName };
+
   const fullName = `${firstName || ""} ${lastName || ""}`.trim();
   const joinedText = formatDate(joinedISO);
 
   /* ===========================
-     Load profile: GET /api/auths/me/
+     Fill the form from GET /api/auths/me/ (loaded by AuthProvider)
   ============================ */
   useEffect(() => {
-    async function loadMe() {
-      setLoading(true);
-      try {
-        const res = await fetch(`${API_BASE}/api/auths/me/`, {
-          headers: { Accept: "application/json", ...authHeaders() },
-        });
-        if (res.status === 401) return navigate("/login");
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const data = await res.json();
-
-        setUsername(data.username || "");
-        setFirstName(data.first_name || "");
-        setLastName(data.last_name || "");
-        setEmail(data.email || "");
-
-        const p = data.profile || {};
-        setPhone(p.phone || "");
-        setAddress(p.address || "");
-        setCity(p.city || "");
-        setZip(p.zip || "");
-        setAvatarUrl(absUrl(p.avatar));
-        setJoinedISO(p.created_at || null);
-
-        const s = data.stats || {};
-        setOrdersCount(s.orders_count || 0);
-        setTotalSpent(s.total_spent ?? "0");
-        setCurrency(s.currency || "NPR");
-
-        // Single document object
-        setDocument(data.document || null);
-      } catch (e) {
-        console.error(e);
-        alert("Failed to load profile.");
-      } finally {
-        setLoading(false);
-      }
-    }
-    loadMe();
-  }, [navigate]);
+    if (!profile) return;
+    setUsername(profile.username || "");
+    setFirstName(profile.first_name || "");
+    setLastName(profile.last_name || "");
+    setEmail(profile.email || "");
+
+    const p = profile.profile || {};
+    setPhone(p.phone || "");
+    setAddress(p.address || "");
+    setCity(p.city || "");
+    setZip(p.zip || "");
+    setAvatarUrl(mediaUrl(p.avatar));
+    setJoinedISO(p.created_at || null);
+
+    const s = profile.stats || {};
+    setOrdersCount(s.orders_count || 0);
+    setTotalSpent(s.total_spent ?? "0");
+    setCurrency(s.currency || "NPR");
+
+    // Single document object
+    setDocument(profile.document || null);
+  }, [profile]);
+
+  useEffect(() => {
+    // 401 means the session ended; RootLayout already redirects to /login
+    if (!profileError || profileError.status === 401) return;
+    console.error(profileError);
+    alert(apiErrorMessage(profileError, "Failed to load profile."));
+  }, [profileError]);
 
   /* ===========================
      Handlers
@@ -166,17 +133,13 @@ export default function Profile() {
       fd.append("zip", zip);
       if (avatarFile) fd.append("avatar", avatarFile, avatarFile.name);
 
-      const res = await fetch(`${API_BASE}/api/auths/profile-update/`, {
-        method: "PATCH",
-        headers: { ...authHeaders() }, // let browser set multipart boundary
-        body: fd,
-      });
-      if (res.status === 401) return navigate("/login");
-      if (!res.ok) throw new Error("Profile update failed");
+      await updateProfile(fd);
+      setAvatarFile(null);
+      refreshProfile(); // Navbar avatar/name follow the saved profile
       alert("Profile updated successfully!");
     } catch (e) {
       console.error(e);
-      alert("Error updating profile.");
+      alert(apiErrorMessage(e, "Error updating profile."));
     } finally {
       setSaving(false);
     }
@@ -187,36 +150,30 @@ export default function Profile() {
       return alert("Please fill all password fields.");
     if (newPassword !== confirmPassword)
       return alert("New password and confirm password do not match.");
+    const passwordErrors = validatePassword(newPassword, passwordUser);
+    if (passwordErrors.length)
+      return alert(passwordErrors.join("\n"));
     setPwdSaving(true);
     try {
-      const res = await fetch(`${API_BASE}/api/auths/change-password/`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json", ...authHeaders() },
-        body: JSON.stringify({
-          old_password: oldPassword,
-          new_password: newPassword,
-          confirm_password: confirmPassword,
-        }),
+      await changePassword({
+        old_password: oldPassword,
+        new_password: newPassword,
+        confirm_password: confirmPassword,
       });
-      if (res.status === 401) return navigate("/login");
-      if (!res.ok) throw new Error("Failed");
       alert("Password changed successfully.");
       setOldPassword("");
       setNewPassword("");
       setConfirmPassword("");
     } catch (e) {
       console.error(e);
-      alert("Error changing password.");
+      alert(apiErrorMessage(e, "Error changing password."));
     } finally {
       setPwdSaving(false);
     }
   };
 
   const onLogout = () => {
-    localStorage.removeItem("access");
-    localStorage.removeItem("refresh");
-    localStorage.removeItem("ACCESS_TOKEN");
-    sessionStorage.removeItem("access");
+    logout();
     navigate("/login");
   };
 
@@ -287,6 +244,11 @@ export default function Profile() {
               <label>Email</label>
               <input className="input" type="email" value={email}
                      onChange={(e)=>setEmail(e.target.value)} disabled={loading||saving}/>
+              {user?.email_verified === false && (
+                <small style={{ color: "var(--bc-warning, #ffb300)" }}>
+                  Not verified – checkout is locked until you confirm it. <ResendVerification />
+                </small>
+              )}
             </div>
             <div className="pf-row">
               <label>Phone</label>
@@ -326,8 +288,9 @@ export default function Profile() {
             </div>
             <div className="pf-row">
               <label>New password</label>
-              <input className="input" type="password" value={newPassword}
+              <input className="input" type="password" value={newPassword} autoComplete="new-password"
                      onChange={(e)=>setNewPassword(e.target.value)} disabled={pwdSaving}/>
+              <PasswordStrengthMeter password={newPassword} user={passwordUser}/>
             </div>
             <div className="pf-row">
               <label>Confirm new password</label>
@@ -346,6 +309,11 @@ export default function Profile() {
             </button>
           </div>
 
+          <TwoFactorSettings />
+
+          {/* Social sign-in; AuthCallback returns here with `{ linked }` */}
+          <LinkedAccounts linked={location.state?.linked} />
+
           {/* Single Verification Document */}
           <div className="surface pf-card">
             <h2 className="pf-section-title">Verification Document</h2>
@@ -355,13 +323,13 @@ export default function Profile() {
               <div className="doc-card">
                 <a
                   className="doc-media"
-                  href={absUrl(document.doc_file)}
+                  href={mediaUrl(document.doc_file)}
                   target="_blank"
                   rel="noopener noreferrer"
                   title="Open document"
                 >
                   <img
-                    src={absUrl(document.doc_file)}
+                    src={mediaUrl(document.doc_file)}
                     alt={document.doc_type || "document"}
                     loading="lazy"
                   />
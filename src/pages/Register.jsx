@@ -1,18 +1,26 @@
 import { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
-import { normalizeApiErrors, firstError } from "../utils/errors";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import ResendVerification from "../components/ResendVerification";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import { ApiError, firstError } from "../utils/errors";
+import { validatePassword } from "../utils/passwordPolicy";
 
 export default function Register() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { register } = useAuth();
 
   const [form, setForm] = useState({
     username: "",
+    email: "",
     first_name: "",
     last_name: "",
     password: "",
     confirm_password: "",
   });
 
+  const [registered, setRegistered] = useState(false);
   const [loading, setLoading] = useState(false);
   const [globalError, setGlobalError] = useState("");
   const [fieldErrors, setFieldErrors] = useState({});
@@ -38,41 +46,30 @@ export default function Register() {
       setGlobalError("Please fix the highlighted fields.");
       return;
     }
-    if (form.password.length < 6) {
+    const passwordErrors = validatePassword(form.password, form);
+    if (passwordErrors.length) {
       setLoading(false);
-      setFieldErrors((s) => ({ ...s, password: ["Password must be at least 6 characters long"] }));
+      setFieldErrors((s) => ({ ...s, password: passwordErrors }));
       setGlobalError("Please fix the highlighted fields.");
       return;
     }
 
     try {
-      const res = await fetch(`${import.meta.env.VITE_API_BASE}/api/auths/register/`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Accept: "application/json",
-        },
-        body: JSON.stringify({
-          username: form.username,
-          first_name: form.first_name,
-          last_name: form.last_name,
-          password: form.password,
-          confirm_password: form.confirm_password,
-        }),
+      await register({
+        username: form.username,
+        email: form.email.trim(),
+        first_name: form.first_name,
+        last_name: form.last_name,
+        password: form.password,
+        confirm_password: form.confirm_password,
       });
 
-      const data = await res.json();
-
-      if (!res.ok) {
-        const { fieldErrors: fe, message } = normalizeApiErrors(data);
-        setFieldErrors(fe);
-        throw new Error(message);
-      }
-
-      // success
-      navigate("/login");
+      // success → ask them to confirm their email
+      setRegistered(true);
     } catch (err) {
-      setGlobalError(err.message || "Registration failed. Please try again.");
+      const { fieldErrors: fe, message, status } = ApiError.from(err);
+      setFieldErrors(fe);
+      setGlobalError(status >= 500 ? "Registration failed. Please try again." : message);
     } finally {
       setLoading(false);
     }
@@ -89,6 +86,29 @@ export default function Register() {
   const invalidClass = (name) =>
     firstError(fieldErrors, name) ? "input w-full ring-1 ring-red-400" : "input w-full";
 
+  if (registered) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Check your inbox</h2>
+        <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+          We've sent a confirmation link to <strong>{form.email.trim()}</strong>. Open it to
+          activate your account, then log in.
+        </p>
+        <p className="text-center mt-4 text-sm">
+          Didn't get it? Check your spam folder or{" "}
+          <ResendVerification email={form.email.trim()} />
+        </p>
+        <button
+          type="button"
+          className="btn btn-primary w-full mt-4"
+          onClick={() => navigate("/login", { state: { from: location.state?.from } })}
+        >
+          Go to log in
+        </button>
+      </section>
+    );
+  }
+
   return (
     <section className="auth-card auth-wrap">
       <h2 className="text-2xl font-semibold mb-4 text-center">Create account</h2>
@@ -108,6 +128,21 @@ export default function Register() {
           <FieldError name="username" />
         </div>
 
+        <div className="form-field">
+          <label>Email</label>
+          <input
+            name="email"
+            className={invalidClass("email")}
+            type="email"
+            placeholder="you@example.com"
+            required
+            value={form.email}
+            onChange={handleChange}
+            autoComplete="email"
+          />
+          <FieldError name="email" />
+        </div>
+
         <div className="form-field">
           <label>First Name</label>
           <input
@@ -146,7 +181,9 @@ export default function Register() {
             required
             value={form.password}
             onChange={handleChange}
+            autoComplete="new-password"
           />
+          <PasswordStrengthMeter password={form.password} user={form} />
           <FieldError name="password" />
         </div>
 
@@ -177,7 +214,7 @@ export default function Register() {
 
       <p className="text-center mt-4 text-sm" style={{ color: "var(--bc-text-muted)" }}>
         Already have an account?{" "}
-        <Link to="/login" className="underline" style={{ color: "var(--bc-primary)" }}>
+        <Link to="/login" state={location.state} className="underline" style={{ color: "var(--bc-primary)" }}>
           Log in
         </Link>
       </p>
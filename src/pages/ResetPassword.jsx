@@ -0,0 +1,137 @@
+import { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { confirmPasswordReset } from "../services/AuthService";
+import useCountdown from "../hooks/useCountdown";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import FieldError from "../components/FieldError";
+import { ApiError, DEFAULT_COOLDOWN, invalidClass } from "../utils/errors";
+import { validatePassword } from "../utils/passwordPolicy";
+
+const LINK_ERROR_CODES = ["token_invalid", "invalid_token", "token_expired", "expired_token", "invalid_uid"];
+
+// The backend reports a bad/expired link on `uid`/`token` or with a dedicated code
+function isLinkError({ fieldErrors, code }) {
+  return !!(fieldErrors.uid || fieldErrors.token || LINK_ERROR_CODES.includes(code));
+}
+
+export default function ResetPassword() {
+  const { uid, token } = useParams();
+  const navigate = useNavigate();
+
+  const [form, setForm] = useState({ new_password: "", confirm_password: "" });
+  const [loading, setLoading] = useState(false);
+  const [linkInvalid, setLinkInvalid] = useState(false);
+  const [globalError, setGlobalError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [cooldown, startCooldown] = useCountdown();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((s) => ({ ...s, [name]: value }));
+    setFieldErrors((errs) => ({ ...errs, [name]: undefined }));
+    if (!cooldown) setGlobalError("");
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (cooldown) return;
+    setGlobalError("");
+    setFieldErrors({});
+
+    if (form.new_password !== form.confirm_password) {
+      setFieldErrors({ confirm_password: ["Passwords do not match"] });
+      setGlobalError("Please fix the highlighted fields.");
+      return;
+    }
+    // The account's username/email aren't known here – the server checks similarity
+    const passwordErrors = validatePassword(form.new_password);
+    if (passwordErrors.length) {
+      setFieldErrors({ new_password: passwordErrors });
+      setGlobalError("Please fix the highlighted fields.");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await confirmPasswordReset({ uid, token, ...form });
+      navigate("/login", { replace: true, state: { passwordReset: true } });
+    } catch (err) {
+      const apiError = ApiError.from(err);
+      if (apiError.status === 429) {
+        startCooldown(apiError.retryAfter ?? DEFAULT_COOLDOWN);
+        setGlobalError("Too many attempts. Please wait before trying again.");
+      } else if (isLinkError(apiError)) {
+        setLinkInvalid(true);
+      } else {
+        setFieldErrors(apiError.fieldErrors);
+        setGlobalError(apiError.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (linkInvalid) {
+    return (
+      <section className="auth-card auth-wrap">
+        <h2 className="text-2xl font-semibold mb-4 text-center">Link expired</h2>
+        <p className="text-center" style={{ color: "var(--bc-text-muted)" }}>
+          This password reset link is invalid or has expired. Reset links can only be used once.
+        </p>
+        <Link to="/forgot-password" className="btn btn-primary w-full mt-4" style={{ textAlign: "center" }}>
+          Request a new link
+        </Link>
+      </section>
+    );
+  }
+
+  return (
+    <section className="auth-card auth-wrap">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Set a new password</h2>
+
+      <form onSubmit={onSubmit} className="form-col">
+        <div className="form-field">
+          <label>New Password</label>
+          <input
+            name="new_password"
+            className={invalidClass(fieldErrors, "new_password")}
+            type="password"
+            placeholder="Create a new password"
+            required
+            value={form.new_password}
+            onChange={handleChange}
+            autoComplete="new-password"
+          />
+          <PasswordStrengthMeter password={form.new_password} />
+          <FieldError errors={fieldErrors} name="new_password" />
+        </div>
+
+        <div className="form-field">
+          <label>Confirm Password</label>
+          <input
+            name="confirm_password"
+            className={invalidClass(fieldErrors, "confirm_password")}
+            type="password"
+            placeholder="Re-enter your new password"
+            required
+            value={form.confirm_password}
+            onChange={handleChange}
+            autoComplete="new-password"
+          />
+          <FieldError errors={fieldErrors} name="confirm_password" />
+        </div>
+
+        {globalError && (
+          <div className="text-center mt-2 whitespace-pre-line" role="alert" style={{ color: "var(--bc-danger, #ef4444)" }}>
+            {globalError}
+            {cooldown > 0 && ` (${cooldown}s)`}
+          </div>
+        )}
+
+        <button type="submit" className="btn btn-primary w-full mt-1" disabled={loading || cooldown > 0}>
+          {loading ? "Saving..." : "Reset password"}
+        </button>
+      </form>
+    </section>
+  );
+}
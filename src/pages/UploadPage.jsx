@@ -1,28 +1,13 @@
 import { useCallback, useMemo, useState } from "react";
-import axios from "axios";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
+import { createPost } from "../services/FeedService";
+import useCan from "../hooks/useCan";
+import { apiErrorMessage } from "../utils/errors";
 import "../styles/upload.css";
 
-/** Resolve API base */
-const API_BASE =
-  (import.meta.env?.VITE_API_BASE || window.location.origin || "http://127.0.0.1:8001")
-    .replace(/\/+$/, "");
-
-/** Optional: fallback Basic auth if you want (when no JWT available) */
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
-function getJwt() {
-  return localStorage.getItem("access") || "";
-}
-
-function getCsrfToken() {
-  const m = document.cookie.match(/csrftoken=([^;]+)/);
-  return m ? decodeURIComponent(m[1]) : "";
-}
-
 export default function UploadPage() {
   const navigate = useNavigate();
+  const canLinkProduct = useCan("product:link");
   const [file, setFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState("");
   const [caption, setCaption] = useState("");
@@ -115,8 +100,8 @@ export default function UploadPage() {
       fd.append("type", mediaType); // "clip" or "image"
       fd.append("description", desc || "");
 
-      // Link product purely based on toggle
-      const effectiveLinkProduct = !!linkProduct;
+      // Link product based on toggle (only verified sellers see it)
+      const effectiveLinkProduct = canLinkProduct && !!linkProduct;
       fd.append("link_product", String(effectiveLinkProduct));
 
       if (effectiveLinkProduct) {
@@ -126,23 +111,7 @@ export default function UploadPage() {
         if (product.image) fd.append("product_image", product.image);
       }
 
-      const headers = { Accept: "application/json" };
-      const jwt = getJwt();
-      if (jwt) {
-        headers["Authorization"] = `Bearer ${jwt}`;
-      } else if (BASIC_USER && BASIC_PASS) {
-        const token = btoa(`${BASIC_USER}:${BASIC_PASS}`);
-        headers["Authorization"] = `Basic ${token}`;
-      }
-
-      const csrf = getCsrfToken();
-      if (csrf) headers["X-CSRFTOKEN"] = csrf;
-
-      const url = `${API_BASE}/api/feed/posts/`;
-
-      await axios.post(url, fd, {
-        headers,
-        withCredentials: true,
+      await createPost(fd, {
         onUploadProgress: (evt) => {
           if (!evt.total) return;
           setProgress(Math.round((evt.loaded * 100) / evt.total));
@@ -155,12 +124,7 @@ export default function UploadPage() {
       navigate("/");
     } catch (err) {
       console.error(err);
-      const msg =
-        err?.response?.data?.detail ||
-        err?.response?.data?.error ||
-        err?.message ||
-        "Upload failed";
-      alert(msg);
+      alert(apiErrorMessage(err, "Upload failed"));
     } finally {
       setBusy(false);
     }
@@ -257,18 +221,24 @@ export default function UploadPage() {
             <div className="up-hint">{desc.length}/4000</div>
           </div>
 
-          {/* Link product toggle */}
-          <label className="up-check">
-            <input
-              type="checkbox"
-              checked={linkProduct}
-              onChange={(e) => setLinkProduct(e.target.checked)}
-            />
-            <span>Link Product</span>
-          </label>
+          {/* Link product toggle (verified sellers only) */}
+          {canLinkProduct ? (
+            <label className="up-check">
+              <input
+                type="checkbox"
+                checked={linkProduct}
+                onChange={(e) => setLinkProduct(e.target.checked)}
+              />
+              <span>Link Product</span>
+            </label>
+          ) : (
+            <div className="up-hint">
+              <Link to="/verify">Verify your identity</Link> to link products to your posts.
+            </div>
+          )}
 
           {/* Product form (only when toggled) */}
-          {linkProduct && (
+          {canLinkProduct && linkProduct && (
             <div className="up-product">
               <div className="up-grid">
                 <div className="up-field">
@@ -1,40 +1,8 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { submitDocument } from "../services/VerificationService";
+import { apiErrorMessage } from "../utils/errors";
 import "../styles/verify.css";
 
-/* ===========================
-   ENV & BASE URLS (robust)
-=========================== */
-const API_BASE_RAW =
-  import.meta.env?.VITE_API_BASE ||
-  window.location.origin ||
-  "http://127.0.0.1:8001";
-
-const API_BASE = API_BASE_RAW.replace(/\/+$/, "");
-
-/* ===========================
-   Endpoints (adjust if needed)
-   Point this to your DocumentListCreate view.
-=========================== */
-const DOCUMENTS_URL = `${API_BASE}/api/verification/documents/`; // e.g. /api/kyc/documents/ (POST)
-
-/* ===========================
-   Auth helper (JWT first; optional Basic dev fallback)
-=========================== */
-const BASIC_USER = import.meta.env?.VITE_BASIC_USER || null;
-const BASIC_PASS = import.meta.env?.VITE_BASIC_PASS || null;
-
-function authHeaders() {
-  const headers = {};
-  const token = localStorage.getItem("access") || sessionStorage.getItem("access");
-  if (token) {
-    headers["Authorization"] = `Bearer ${token}`;
-  } else if (BASIC_USER && BASIC_PASS) {
-    const b64 = btoa(`${BASIC_USER}:${BASIC_PASS}`);
-    headers["Authorization"] = `Basic ${b64}`;
-  }
-  return headers;
-}
-
 /* ===========================
    Allowed types & choices
 =========================== */
@@ -121,18 +89,7 @@ export default function VerifyIdentity() {
 
     setLoading(true);
     try {
-      const res = await fetch(DOCUMENTS_URL, {
-        method: "POST",
-        headers: {
-          ...authHeaders(),
-        },
-        body: fd,
-      });
-
-      if (!res.ok) {
-        const data = await safeJson(res);
-        throw new Error(data?.detail || "Failed to submit document.");
-      }
+      await submitDocument(fd);
 
       setSuccess("Document submitted for review.");
       setFile(null);
@@ -140,19 +97,12 @@ export default function VerifyIdentity() {
       // clear file input
       if (inputRef.current) inputRef.current.value = "";
     } catch (err) {
-      setError(err.message || "Something went wrong.");
+      setError(apiErrorMessage(err, "Failed to submit document."));
     } finally {
       setLoading(false);
     }
   }
 
-  function safeJson(r) {
-    return r
-      .clone()
-      .json()
-      .catch(() => ({}));
-  }
-
   return (
     <div className="verify-wrap">
       <div className="pane pane-form">
@@ -1,33 +1,186 @@
-import axios from "axios";
-import api, { tokenStore } from "../apiClient";
+import api, { tokenStore, dedupedGet, startSession, endSession, expireSession } from "../apiClient";
+import { decodeJwt } from "../utils/jwt";
+import { ApiError } from "../utils/errors";
 
-const API_BASE = (process.env.REACT_APP_API_BASE || "").replace(/\/+$/, "");
+// Query cache keys (see hooks/useQuery)
+export const authKeys = {
+  me: ["me"],
+  mfa: ["me", "mfa"],
+  oauth: ["me", "oauth"],
+};
+
+// Auth endpoints must never trigger the 401 → refresh → retry cycle
+const NO_REFRESH = { skipAuthRefresh: true };
+
+// Accounts with two-factor auth get a challenge instead of tokens: either a
+// 200 `{ mfa_required, mfa_token }` or an error with code "mfa_required"
+function mfaChallenge(data) {
+  if (!data?.mfa_required && data?.code !== "mfa_required") return null;
+  return { mfaRequired: true, mfaToken: data.mfa_token || data.ephemeral_token || "" };
+}
+
+// Posts credentials to a token endpoint and starts the session – unless the
+// account needs a second step, which resolves to `{ mfaRequired, mfaToken }`
+async function obtainTokens(url, body, remember) {
+  let res;
+  try {
+    res = await api.post(url, body, NO_REFRESH);
+  } catch (err) {
+    const challenge = mfaChallenge(ApiError.from(err).data);
+    if (challenge) return challenge;
+    throw err;
+  }
+  const challenge = mfaChallenge(res.data);
+  if (challenge) return challenge;
 
-export async function login({ username, password }) {
-  const res = await axios.post(
-    `${API_BASE}/api/auths/token/`,
-    { username, password },
-    { headers: { "Content-Type": "application/json", Accept: "application/json" } }
-  );
   const { access, refresh } = res.data || {};
-  tokenStore.access = access;
-  tokenStore.refresh = refresh;
+  startSession({ access, refresh, remember });
 
   // (Optional) Decode access for claims like tenant_id, username
-  let claims = null;
-  try {
-    const [, payload] = access.split(".");
-    claims = JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
-  } catch {}
+  const claims = decodeJwt(access);
   return { access, refresh, claims };
 }
 
-export function logout() {
-  tokenStore.clear();
+// `remember: false` keeps the tokens for this tab only (see utils/tokenStorage)
+export async function login({ username, password, remember = true }) {
+  return obtainTokens(`/api/auths/token/`, { username, password }, remember);
+}
+
+// Second login step: a 6-digit TOTP code, or one of the recovery codes
+export async function verifyMfa({ mfaToken, code, recovery = false, remember = true }) {
+  const body = { mfa_token: mfaToken, [recovery ? "recovery_code" : "code"]: code };
+  const res = await api.post(`/api/auths/token/mfa/`, body, NO_REFRESH);
+  const { access, refresh } = res.data || {};
+  startSession({ access, refresh, remember });
+  return { access, refresh, claims: decodeJwt(access) };
+}
+
+/* ===========================
+   Social sign-in (see utils/oauth)
+=========================== */
+// The backend swaps the provider's code for our own tokens (or an MFA challenge)
+export async function oauthLogin({ provider, code, code_verifier, redirect_uri, remember = true }) {
+  return obtainTokens(`/api/auths/oauth/token/`, { provider, code, code_verifier, redirect_uri }, remember);
+}
+
+// [{ provider, email, linked_at }]
+export async function getLinkedProviders({ signal } = {}) {
+  const res = await dedupedGet(`/api/auths/oauth/links/`, { signal });
+  return res.data;
+}
+
+export async function linkProvider({ provider, code, code_verifier, redirect_uri }) {
+  const res = await api.post(`/api/auths/oauth/links/`, { provider, code, code_verifier, redirect_uri });
+  return res.data;
+}
+
+// Refused by the backend when it would leave the account with no way to sign in
+export async function unlinkProvider(provider) {
+  const res = await api.delete(`/api/auths/oauth/links/${encodeURIComponent(provider)}/`);
+  return res.data;
+}
+
+// `reason` marks a logout the user didn't ask for (e.g. "idle"); see AUTH_EXPIRED
+export function logout({ reason } = {}) {
+  // httpOnly cookies can only be cleared by the server
+  if (tokenStore.cookieMode) api.post(`/api/auths/logout/`, null, NO_REFRESH).catch(() => {});
+  if (reason) expireSession(reason);
+  else endSession();
+}
+
+// New accounts start unverified; the backend emails an activation link
+export async function register({ username, email, first_name, last_name, password, confirm_password }) {
+  const res = await api.post(
+    `/api/auths/register/`,
+    { username, email, first_name, last_name, password, confirm_password },
+    NO_REFRESH
+  );
+  return res.data;
+}
+
+/* ===========================
+   Email verification
+=========================== */
+// `token` comes from the emailed link: /activate/:token
+export async function activateAccount(token) {
+  const res = await api.post(`/api/auths/activate/`, { token }, NO_REFRESH);
+  return res.data;
+}
+
+// Signed out (after Register) pass the email; signed in it may be omitted
+export async function resendVerification({ email } = {}) {
+  const res = await api.post(`/api/auths/resend-verification/`, email ? { email } : {});
+  return res.data;
+}
+
+/* ===========================
+   Password reset (signed out)
+=========================== */
+// Always "succeeds" for unknown emails – the backend doesn't reveal accounts
+export async function requestPasswordReset({ email }) {
+  const res = await api.post(`/api/auths/password-reset/`, { email }, NO_REFRESH);
+  return res.data;
+}
+
+// `uid` and `token` come from the emailed link: /reset-password/:uid/:token
+export async function confirmPasswordReset({ uid, token, new_password, confirm_password }) {
+  const res = await api.post(
+    `/api/auths/password-reset/confirm/`,
+    { uid, token, new_password, confirm_password },
+    NO_REFRESH
+  );
+  return res.data;
+}
+
+export async function getMyProfile({ signal } = {}) {
+  const res = await dedupedGet(`/api/auths/me/`, { signal });
+  return res.data;
+}
+
+// `formData` is multipart (avatar upload) – axios sets the boundary
+export async function updateProfile(formData) {
+  const res = await api.patch(`/api/auths/profile-update/`, formData);
+  return res.data;
+}
+
+export async function changePassword({ old_password, new_password, confirm_password }) {
+  const res = await api.post(`/api/auths/change-password/`, {
+    old_password,
+    new_password,
+    confirm_password,
+  });
+  return res.data;
+}
+
+/* ===========================
+   Two-factor authentication (TOTP)
+=========================== */
+// { enabled, recovery_codes_remaining }
+export async function getMfaStatus({ signal } = {}) {
+  const res = await dedupedGet(`/api/auths/2fa/`, { signal });
+  return res.data;
+}
+
+// Starts enrollment: { secret, otpauth_url, qr_code? } – nothing is enabled yet
+export async function beginMfaSetup() {
+  const res = await api.post(`/api/auths/2fa/setup/`);
+  return res.data;
+}
+
+// Enables 2FA once a code from the app checks out: { recovery_codes }
+export async function confirmMfaSetup({ code }) {
+  const res = await api.post(`/api/auths/2fa/confirm/`, { code });
+  return res.data;
+}
+
+// Replaces every recovery code (old ones stop working): { recovery_codes }
+export async function regenerateRecoveryCodes({ password }) {
+  const res = await api.post(`/api/auths/2fa/recovery-codes/`, { password });
+  return res.data;
 }
 
-export async function getMyProfile() {
-  // Adjust to your actual profile endpoint
-  const res = await api.get(`/api/users/me/`);
+// Re-authentication: the account password plus a current code
+export async function disableMfa({ password, code }) {
+  const res = await api.post(`/api/auths/2fa/disable/`, { password, code });
   return res.data;
 }
@@ -0,0 +1,88 @@
+import api, { dedupedGet } from "../apiClient";
+
+// Query cache keys (see hooks/useQuery) – invalidate these after mutations
+export const commerceKeys = {
+  products: ["products"],
+  // One page of the catalogue; `params` as passed to listProducts
+  productList: (params) => ["products", params],
+  productDetails: ["product"], // prefix of every product(id)
+  product: (id) => ["product", String(id)],
+  cart: ["cart"],
+  orders: ["orders"],
+};
+
+/* ===========================
+   Products
+=========================== */
+// DRF pagination (`{ count, next, previous, results }`) or, with pagination
+// switched off, a bare array – always returned in the paginated shape
+export function toPage(data) {
+  if (Array.isArray(data)) return { count: data.length, next: null, previous: null, results: data };
+  return {
+    count: Number(data?.count) || 0,
+    next: data?.next || null,
+    previous: data?.previous || null,
+    results: Array.isArray(data?.results) ? data.results : [],
+    // Optional facet counts, e.g. { seller: [{ value, count }] }
+    facets: data?.facets || null,
+  };
+}
+
+// `search` matches name, seller and description (DRF SearchFilter);
+// `ordering` is DRF OrderingFilter syntax, e.g. "-price,id";
+// `filters` are extra query params (see utils/productFilters)
+export async function listProducts({ page = 1, pageSize, search, ordering, filters, signal } = {}) {
+  const params = { ...filters, page };
+  if (pageSize) params.page_size = pageSize;
+  if (search) params.search = search;
+  if (ordering) params.ordering = ordering;
+  // Lists as seller=a&seller=b, the way django-filter reads them
+  const res = await dedupedGet(`/api/commerce/products/`, { params, paramsSerializer: { indexes: null }, signal });
+  return toPage(res.data);
+}
+
+export async function getProduct(id, { signal } = {}) {
+  const res = await dedupedGet(`/api/commerce/products/${encodeURIComponent(id)}/`, { signal });
+  return res.data;
+}
+
+/* ===========================
+   Active cart
+=========================== */
+export async function getActiveCart({ signal } = {}) {
+  const res = await dedupedGet(`/api/commerce/carts/active/`, { signal });
+  return res.data;
+}
+
+// POST { product, quantity } – adds to (or increments) the active cart
+export async function addToCart({ product, quantity }) {
+  const res = await api.post(`/api/commerce/carts/active/`, { product, quantity });
+  return res.data;
+}
+
+// PATCH { product, quantity } – sets the quantity of a cart line
+export async function updateCartItem({ product, quantity }) {
+  const res = await api.patch(`/api/commerce/carts/active/`, { product, quantity });
+  return res.data;
+}
+
+// DELETE ?cart_id=<cart_item_id>
+export async function removeCartItem(itemId) {
+  const res = await api.delete(`/api/commerce/carts/active/`, {
+    params: { cart_id: itemId },
+  });
+  return res.data;
+}
+
+/* ===========================
+   Orders
+=========================== */
+export async function listOrders({ signal } = {}) {
+  const res = await dedupedGet(`/api/commerce/orders/`, { signal });
+  return res.data;
+}
+
+export async function createOrder(payload) {
+  const res = await api.post(`/api/commerce/orders/`, payload);
+  return res.data;
+}
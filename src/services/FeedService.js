@@ -0,0 +1,17 @@
+import api, { dedupedGet } from "../apiClient";
+
+export async function listPosts({ signal } = {}) {
+  const res = await dedupedGet(`/api/feed/posts/`, { signal });
+  return res.data;
+}
+
+// `formData` carries post_media, caption, type, description and optional product_* fields
+export async function createPost(formData, { onUploadProgress } = {}) {
+  const res = await api.post(`/api/feed/posts/`, formData, { onUploadProgress });
+  return res.data;
+}
+
+export async function addComment(postId, text) {
+  const res = await api.post(`/api/feed/posts/${encodeURIComponent(postId)}/comments/`, { text });
+  return res.data;
+}
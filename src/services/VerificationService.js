@@ -0,0 +1,7 @@
+import api from "../apiClient";
+
+// POST multipart { doc_type, doc_file } to the DocumentListCreate view
+export async function submitDocument(formData) {
+  const res = await api.post(`/api/verification/documents/`, formData);
+  return res.data;
+}
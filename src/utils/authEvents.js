@@ -0,0 +1,16 @@
+// App-wide auth notifications, dispatched on `window` so any component can listen
+
+// Session ended without the user logging out (refresh token expired or rejected,
+// or the idle timeout). detail: { reason: "refresh_expired" | "refresh_rejected" | "idle" }
+export const AUTH_EXPIRED = "auth:expired";
+
+export function emitAuthEvent(type, detail = {}) {
+  window.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// Returns an unsubscribe function (handy as a useEffect cleanup)
+export function onAuthEvent(type, handler) {
+  const listener = (e) => handler(e.detail || {});
+  window.addEventListener(type, listener);
+  return () => window.removeEventListener(type, listener);
+}
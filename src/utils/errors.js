@@ -3,38 +3,201 @@ const LABELS = {
     username: "Username",
     first_name: "First Name",
     last_name: "Last Name",
+    email: "Email",
     password: "Password",
     confirm_password: "Confirm Password",
+    old_password: "Current Password",
+    new_password: "New Password",
+    full_name: "Full Name",
+    zip_code: "ZIP Code",
+    payment_method: "Payment Method",
+    product: "Product",
+    quantity: "Quantity",
+    items: "Item",
+    uid: "Link",
+    token: "Link",
     detail: "Error",
     non_field_errors: "Error",
   };
-  
-  // Normalize a DRF-style error payload to { field -> [messages] } and a readable string
+
+  const GENERIC_MESSAGE = "Something went wrong. Please try again.";
+
+  const humanize = (key) => key.replaceAll("_", " ").replace(/\b\w/g, c => c.toUpperCase());
+
+  // "items[0].quantity" -> "Item 1 Quantity"
+  function labelFor(path) {
+    return path
+      .split(".")
+      .map((segment) => {
+        const [, key = segment, index] = segment.match(/^([^[]*)(?:\[(\d+)\])?$/) || [];
+        const label = LABELS[key] || humanize(key);
+        return index === undefined ? label : `${label} ${Number(index) + 1}`;
+      })
+      .join(" ");
+  }
+
+  // Walk nested DRF errors: { items: [{}, { quantity: ["…"] }] } -> { "items[1].quantity": ["…"] }
+  function collectFieldErrors(value, path, out) {
+    if (value == null || value === "") return;
+    if (typeof value !== "object") {
+      (out[path] ||= []).push(String(value));
+      return;
+    }
+    if (Array.isArray(value)) {
+      // A list of strings is the messages for `path`; a list of objects is per-item errors
+      value.forEach((item, i) => {
+        if (item && typeof item === "object") collectFieldErrors(item, `${path}[${i}]`, out);
+        else collectFieldErrors(item, path, out);
+      });
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      collectFieldErrors(child, path ? `${path}.${key}` : key, out);
+    }
+  }
+
+  // Normalize a DRF-style error payload to { field -> [messages] } and a readable string.
+  // Nested serializer errors get dotted/indexed keys such as "items[0].quantity".
   export function normalizeApiErrors(payload) {
     const fieldErrors = {};
-    const lines = [];
-  
-    if (!payload || typeof payload !== "object") {
-      return { fieldErrors, message: "Something went wrong. Please try again." };
+
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+      // DRF ValidationError raised with a bare list: ["…", "…"]
+      if (Array.isArray(payload)) collectFieldErrors(payload, "non_field_errors", fieldErrors);
+      if (!fieldErrors.non_field_errors) return { fieldErrors, message: GENERIC_MESSAGE };
+    } else {
+      collectFieldErrors(payload, "", fieldErrors);
     }
-  
-    for (const [key, value] of Object.entries(payload)) {
-      const label = LABELS[key] || key.replaceAll("_", " ").replace(/\b\w/g, c => c.toUpperCase());
-      const messages = Array.isArray(value) ? value : [String(value || "")].filter(Boolean);
-  
-      if (messages.length) {
-        fieldErrors[key] = messages;
-        lines.push(`${label}: ${messages.join(", ")}`);
-      }
-    }
-  
+
+    const lines = Object.entries(fieldErrors).map(
+      ([path, messages]) => `${labelFor(path)}: ${messages.join(", ")}`
+    );
     const message = lines.join("\n") || "Please fix the highlighted fields.";
     return { fieldErrors, message };
   }
-  
+
   // Helper: get first error text for a field
   export function firstError(fieldErrors, field) {
     const arr = fieldErrors?.[field];
     return Array.isArray(arr) && arr.length ? arr[0] : "";
   }
-  
\ No newline at end of file
+
+  // Input classes for a form field, ringed in red while it has an error
+  export function invalidClass(fieldErrors, field) {
+    return firstError(fieldErrors, field) ? "input w-full ring-1 ring-red-400" : "input w-full";
+  }
+
+  // Seconds to hold a form back after a 429 that carries no Retry-After
+  export const DEFAULT_COOLDOWN = 60;
+
+  /* ===========================
+     ApiError
+     Every failed request on the shared client rejects with one of these
+     (cancellations excepted – check those with `isCancel`).
+       status      HTTP status, 0 when no response arrived
+       code        backend `code`, else "network_error" | "timeout" | "http_<status>"
+       fieldErrors { "field" | "items[0].quantity" -> [messages] }
+       retryable   worth trying again later (network, timeout, RETRYABLE_STATUSES)
+       retryAfter  seconds the server asked us to wait (Retry-After), or null
+       message     user-facing text
+     `response` and `config` are kept so existing `err.response.status` checks work.
+  =========================== */
+  // Statuses worth retrying; the client's automatic retries use the same list
+  export const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+  // Retry-After (delta-seconds or an HTTP date) as ms from now, or null
+  export function parseRetryAfter(header) {
+    if (!header) return null;
+    const secs = Number(header);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(header);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+  }
+
+  function retryAfterSeconds(header) {
+    const ms = parseRetryAfter(header);
+    return ms === null ? null : Math.ceil(ms / 1000);
+  }
+
+  // Message used when the server explained nothing
+  const httpFallback = (status) => `Request failed (HTTP ${status})`;
+
+  export class ApiError extends Error {
+    constructor({ message, status = 0, code = "unknown", fieldErrors = {}, retryable = false, retryAfter = null, data, response, config, cause } = {}) {
+      super(message || GENERIC_MESSAGE);
+      this.name = "ApiError";
+      this.status = status;
+      this.code = code;
+      this.fieldErrors = fieldErrors;
+      this.retryable = retryable;
+      this.retryAfter = retryAfter;
+      this.data = data;
+      this.response = response;
+      this.config = config;
+      this.cause = cause;
+    }
+
+    // Build from an axios error (or anything thrown by a request)
+    static from(err) {
+      if (err instanceof ApiError) return err;
+      const response = err?.response;
+
+      // Not a transport failure – a bug or an internal error (e.g. session expired)
+      if (!response && !err?.isAxiosError) {
+        return new ApiError({ message: err?.message, cause: err });
+      }
+
+      if (!response) {
+        const timedOut = err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT";
+        return new ApiError({
+          message: timedOut
+            ? "The server took too long to respond. Please try again."
+            : "Can't reach the server. Check your connection and try again.",
+          code: timedOut ? "timeout" : "network_error",
+          retryable: true,
+          config: err?.config,
+          cause: err,
+        });
+      }
+
+      const { status, data } = response;
+      let message = "";
+      let fieldErrors = {};
+      if (data && typeof data === "object") {
+        const text = data.detail || data.message || data.error;
+        if (typeof text === "string" && text) message = text;
+        else {
+          const normalized = normalizeApiErrors(data);
+          fieldErrors = normalized.fieldErrors;
+          if (Object.keys(fieldErrors).length) message = normalized.message;
+        }
+      } else if (typeof data === "string" && data && !data.trim().startsWith("<")) {
+        message = data;
+      }
+
+      return new ApiError({
+        message: message || httpFallback(status),
+        status,
+        code: (data && typeof data === "object" && typeof data.code === "string" && data.code) || `http_${status}`,
+        fieldErrors,
+        retryable: RETRYABLE_STATUSES.includes(status),
+        retryAfter: retryAfterSeconds(response.headers?.["retry-after"]),
+        data,
+        response,
+        config: err.config,
+        cause: err,
+      });
+    }
+  }
+
+  // Helper: readable message from a failed `api` call
+  export function apiErrorMessage(err, fallback = GENERIC_MESSAGE) {
+    if (err instanceof ApiError) {
+      // The caller's wording beats a bare status line
+      return err.status && err.message === httpFallback(err.status)
+        ? `${fallback} (HTTP ${err.status})`
+        : err.message;
+    }
+    if (err?.response) return apiErrorMessage(ApiError.from(err), fallback);
+    return err?.message || fallback;
+  }
@@ -0,0 +1,33 @@
+// Minimal JWT helpers – claims are decoded for UI purposes only, never verified
+
+function b64UrlToJson(b64url) {
+  try {
+    const padLen = (4 - (b64url.length % 4)) % 4;
+    const b64 = (b64url + "=".repeat(padLen)).replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64);
+    // Claims may contain UTF-8 (names, emails)
+    const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+export function decodeJwt(token) {
+  if (!token || typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length < 2) return null;
+  return b64UrlToJson(parts[1]);
+}
+
+// `exp` claim in ms since epoch, or null for opaque / non-expiring tokens
+export function tokenExpiresAt(token) {
+  const exp = decodeJwt(token)?.exp;
+  return Number.isFinite(exp) ? exp * 1000 : null;
+}
+
+// True once the token is within `skewMs` of its expiry (unknown expiry = not expired)
+export function isTokenExpired(token, skewMs = 0) {
+  const at = tokenExpiresAt(token);
+  return at !== null && Date.now() >= at - skewMs;
+}
@@ -0,0 +1,65 @@
+import config from "../config";
+import { createPkcePair, pkceSupported, randomString } from "./pkce";
+
+/* ===========================
+   Social sign-in (OAuth2 authorization code + PKCE)
+   beginOAuth() sends the browser to the provider; it comes back to
+   /auth/callback, which hands the code and verifier to the backend
+   (pages/AuthCallback). Pending attempts live in sessionStorage, so a
+   callback only completes in the tab that started it.
+=========================== */
+const PENDING_KEY = "buzcart:oauth";
+
+export const OAUTH_CALLBACK_PATH = "/auth/callback";
+
+export function oauthProviders() {
+  return Array.isArray(config.oauth.providers) ? config.oauth.providers : [];
+}
+
+export function findProvider(id) {
+  return oauthProviders().find((p) => p.id === id) || null;
+}
+
+export function redirectUri() {
+  return `${window.location.origin}${OAUTH_CALLBACK_PATH}`;
+}
+
+// `intent` is "login" or "link" (add a provider to the signed-in account)
+export async function beginOAuth(providerId, { intent = "login", returnTo = "/", remember = true } = {}) {
+  const provider = findProvider(providerId);
+  if (!provider) throw new Error(`Unknown sign-in provider "${providerId}"`);
+  if (!pkceSupported()) throw new Error(`Sign-in with ${provider.name || provider.id} requires HTTPS.`);
+
+  const { verifier, challenge, method } = await createPkcePair();
+  const state = randomString(16);
+  sessionStorage.setItem(
+    PENDING_KEY,
+    JSON.stringify({ state, verifier, provider: provider.id, intent, returnTo, remember })
+  );
+
+  const url = new URL(provider.authorizeUrl);
+  url.search = new URLSearchParams({
+    ...Object.fromEntries(url.searchParams),
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri(),
+    scope: provider.scope || "openid email profile",
+    state,
+    code_challenge: challenge,
+    code_challenge_method: method,
+  }).toString();
+  window.location.assign(url.toString());
+}
+
+// The pending attempt matching `state`, removed so a code can't be replayed.
+// null when there is none or the state doesn't match (possible CSRF).
+export function consumeOAuthState(state) {
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || "null");
+  } catch {
+    // corrupt entry – treat as missing
+  }
+  sessionStorage.removeItem(PENDING_KEY);
+  return pending && state && pending.state === state ? pending : null;
+}
@@ -0,0 +1,123 @@
+import config from "../config";
+
+/* ===========================
+   Password policy
+   Mirrors Django's default validators (MinimumLength, CommonPassword,
+   NumericPassword, UserAttributeSimilarity) plus an optional character-class
+   rule, so users see problems before submitting. Messages match Django's
+   wording; the server still has the final say.
+=========================== */
+
+// Most frequent entries of Django's common-passwords list (the full list is
+// ~20k entries – too heavy to ship; the server checks the rest)
+const COMMON_PASSWORDS = new Set([
+  "123456", "password", "12345678", "qwerty", "123456789", "12345", "1234", "111111",
+  "1234567", "dragon", "123123", "baseball", "abc123", "football", "monkey", "letmein",
+  "696969", "shadow", "master", "666666", "qwertyuiop", "123321", "mustang", "1234567890",
+  "michael", "654321", "superman", "1qaz2wsx", "7777777", "121212", "000000", "qazwsx",
+  "123qwe", "killer", "trustno1", "jordan", "jennifer", "zxcvbnm", "asdfgh", "hunter",
+  "buster", "soccer", "harley", "batman", "andrew", "tigger", "sunshine", "iloveyou",
+  "2000", "charlie", "robert", "thomas", "hockey", "ranger", "daniel", "starwars",
+  "klaster", "112233", "george", "computer", "michelle", "jessica", "pepper", "1111",
+  "zxcvbn", "555555", "11111111", "131313", "freedom", "777777", "pass", "maggie",
+  "159753", "aaaaaa", "ginger", "princess", "joshua", "cheese", "amanda", "summer",
+  "love", "ashley", "nicole", "chelsea", "biteme", "matthew", "access", "yankees",
+  "987654321", "dallas", "austin", "thunder", "taylor", "matrix", "password1", "password123",
+  "welcome", "admin", "admin123", "login", "passw0rd", "qwerty123", "1q2w3e4r", "1q2w3e",
+  "qwe123", "abcd1234", "test123", "changeme", "secret", "default", "guest", "hello123",
+]);
+
+const CLASSES = [
+  [/[a-z]/, "lowercase letters"],
+  [/[A-Z]/, "uppercase letters"],
+  [/\d/, "numbers"],
+  [/[^A-Za-z0-9]/, "symbols"],
+];
+
+// Django's verbose names, used in "too similar to the …"
+const ATTRIBUTES = [
+  ["username", "username"],
+  ["first_name", "first name"],
+  ["last_name", "last name"],
+  ["email", "email address"],
+];
+
+export function characterClasses(password = "") {
+  return CLASSES.filter(([re]) => re.test(password)).length;
+}
+
+/* ===========================
+   Similarity – Python's difflib.SequenceMatcher(a, b).quick_ratio(), which
+   is what Django compares: characters in common, ignoring their order
+=========================== */
+export function similarity(a, b) {
+  const total = a.length + b.length;
+  if (!total) return 1;
+  const counts = new Map();
+  for (const ch of b) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let matches = 0;
+  for (const ch of a) {
+    const n = counts.get(ch);
+    if (!n) continue;
+    counts.set(ch, n - 1);
+    matches++;
+  }
+  return (2 * matches) / total;
+}
+
+// Django skips parts far shorter than the password – they can't be "too similar"
+function tooShortToCompare(password, part, maxSimilarity) {
+  return password.length >= 10 * part.length && part.length < (maxSimilarity / 2) * password.length;
+}
+
+// Each attribute is checked whole and split on non-word characters
+// ("jane.doe@example.com" → jane, doe, example, com)
+function similarAttribute(password, user, maxSimilarity) {
+  const lower = password.toLowerCase();
+  for (const [key, label] of ATTRIBUTES) {
+    const value = String(user?.[key] ?? "").toLowerCase();
+    if (!value) continue;
+    const parts = [...value.split(/\W+/), value].filter(Boolean);
+    const similar = (part) => !tooShortToCompare(lower, part, maxSimilarity) && similarity(lower, part) >= maxSimilarity;
+    if (parts.some(similar)) return label;
+  }
+  return null;
+}
+
+/* ===========================
+   Public API
+=========================== */
+// Every rule the password breaks, as messages (empty = acceptable).
+// `user` holds the attributes it must not resemble: username, email, first_name, last_name.
+export function validatePassword(password = "", user = {}, policy = config.passwordPolicy) {
+  const errors = [];
+  if (password.length < policy.minLength)
+    errors.push(`This password is too short. It must contain at least ${policy.minLength} characters.`);
+  if (policy.maxSimilarity > 0) {
+    const label = similarAttribute(password, user, policy.maxSimilarity);
+    if (label) errors.push(`The password is too similar to the ${label}.`);
+  }
+  if (policy.rejectCommon && COMMON_PASSWORDS.has(password.toLowerCase().trim()))
+    errors.push("This password is too common.");
+  if (policy.rejectNumeric && /^\d+$/.test(password))
+    errors.push("This password is entirely numeric.");
+  if (policy.minClasses > 0 && characterClasses(password) < policy.minClasses)
+    errors.push(`Use at least ${policy.minClasses} of: ${CLASSES.map(([, name]) => name).join(", ")}.`);
+  return errors;
+}
+
+const LABELS = ["Too weak", "Weak", "Fair", "Good", "Strong"];
+
+// { score: 0–4, label, errors } for the strength meter. A password that breaks
+// a rule never scores above "Weak", however long it is.
+export function passwordStrength(password = "", user = {}, policy = config.passwordPolicy) {
+  const errors = validatePassword(password, user, policy);
+  const classes = characterClasses(password);
+  let score = 0;
+  if (password.length >= policy.minLength) score++;
+  if (password.length >= policy.minLength + 4) score++;
+  if (classes >= 3) score++;
+  if (classes === 4 || password.length >= 16) score++;
+  if (errors.length) score = Math.min(score, password ? 1 : 0);
+  return { score, label: LABELS[score], errors };
+}
@@ -0,0 +1,72 @@
+/* ===========================
+   Roles & permissions
+   Roles are derived from the JWT claims and the /me profile; pages ask for a
+   permission (useCan / <RequireRole>) rather than checking roles directly.
+   The backend still enforces all of this – the UI only hides what would fail.
+=========================== */
+export const ROLES = {
+  BUYER: "buyer",
+  SELLER: "seller",
+  VERIFIED_SELLER: "verified_seller",
+  STAFF: "staff",
+  ADMIN: "admin",
+};
+
+const { BUYER, SELLER, VERIFIED_SELLER, STAFF, ADMIN } = ROLES;
+
+// permission -> roles that hold it. Posting stays open to every signed-in
+// user: the seller flags below are optional and many backends send none.
+export const PERMISSIONS = {
+  "order:create": [BUYER, SELLER, VERIFIED_SELLER, STAFF, ADMIN],
+  "post:create": [BUYER, SELLER, VERIFIED_SELLER, STAFF, ADMIN],
+  "product:link": [VERIFIED_SELLER, STAFF, ADMIN],
+  "admin:access": [STAFF, ADMIN],
+};
+
+// Explicit roles may arrive as strings or { name } groups
+function namesOf(value) {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list
+    .map((r) => (typeof r === "object" ? r?.name : r))
+    .filter(Boolean)
+    .map((r) => String(r).toLowerCase());
+}
+
+// Every signed-in user is a buyer; the rest comes from claims/profile flags
+export function rolesFor(claims, profile) {
+  const roles = new Set([BUYER]);
+  const sources = [claims, profile, profile?.profile].filter(Boolean);
+
+  for (const src of sources) {
+    [src.roles, src.role, src.groups].forEach((v) => namesOf(v).forEach((r) => roles.add(r)));
+    const type = String(src.user_type || src.account_type || "").toLowerCase();
+    if (src.is_seller || type === SELLER) roles.add(SELLER);
+    if (src.is_staff) roles.add(STAFF);
+    if (src.is_superuser) roles.add(ADMIN);
+  }
+
+  // Identity verification (VerifyIdentity) is how users become verified sellers
+  const sellerVerified = roles.has(SELLER) && sources.some((src) => src.is_verified || src.seller_verified);
+  if (sellerVerified || profile?.document?.status === "approved") roles.add(VERIFIED_SELLER);
+  if (roles.has(VERIFIED_SELLER)) roles.add(SELLER);
+
+  return [...roles];
+}
+
+export function hasRole(roles, wanted) {
+  const list = Array.isArray(wanted) ? wanted : [wanted];
+  return list.some((r) => roles?.includes(r));
+}
+
+// Unknown permissions are denied
+export function can(roles, permission) {
+  return hasRole(roles, PERMISSIONS[permission] || []);
+}
+
+// What to tell a user who lacks `permission`
+export function deniedMessage(permission) {
+  const allowed = PERMISSIONS[permission] || [];
+  if (allowed.includes(SELLER)) return "You need a seller account to do this.";
+  if (allowed.includes(VERIFIED_SELLER)) return "You need a verified seller account to do this.";
+  return "You don't have access to this page.";
+}
@@ -0,0 +1,31 @@
+/* ===========================
+   PKCE (RFC 7636) helpers
+   The verifier stays in this tab; only its S256 challenge goes to the provider.
+=========================== */
+function base64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// URL-safe random string from `bytes` bytes of entropy (state, nonce, verifier)
+export function randomString(bytes = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// crypto.subtle only exists on secure origins (https, localhost)
+export function pkceSupported() {
+  return typeof crypto !== "undefined" && !!crypto.subtle;
+}
+
+export async function codeChallenge(verifier) {
+  if (!pkceSupported()) throw new Error("PKCE needs Web Crypto, which is only available over HTTPS.");
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier));
+  return base64Url(new Uint8Array(digest));
+}
+
+// { verifier, challenge, method } – 32 bytes → a 43-char verifier, the minimum allowed
+export async function createPkcePair() {
+  const verifier = randomString(32);
+  return { verifier, challenge: await codeChallenge(verifier), method: "S256" };
+}
@@ -0,0 +1,104 @@
+/* ===========================
+   Product filters (Products sidebar)
+   One shape, three encodings:
+     URL      ?min_price=&max_price=&seller=a&seller=b&in_stock=1&added=7
+     API      min_price, max_price, seller (repeated), in_stock, created_after
+     client   applyFilters() for backends that don't filter
+=========================== */
+export const ADDED_WITHIN_DAYS = [1, 7, 30, 90];
+
+export const EMPTY_FILTERS = Object.freeze({
+  minPrice: null,
+  maxPrice: null,
+  sellers: [],
+  inStock: false,
+  addedWithin: null, // days
+});
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export function parseFilters(searchParams) {
+  const added = toNumber(searchParams.get("added"));
+  return {
+    minPrice: toNumber(searchParams.get("min_price")),
+    maxPrice: toNumber(searchParams.get("max_price")),
+    sellers: [...new Set(searchParams.getAll("seller").filter(Boolean))],
+    inStock: searchParams.get("in_stock") === "1",
+    addedWithin: ADDED_WITHIN_DAYS.includes(added) ? added : null,
+  };
+}
+
+// Copy of `searchParams` with the filter params replaced by `filters`
+export function writeFilters(searchParams, filters) {
+  const next = new URLSearchParams(searchParams);
+  ["min_price", "max_price", "seller", "in_stock", "added"].forEach((k) => next.delete(k));
+  if (filters.minPrice !== null) next.set("min_price", String(filters.minPrice));
+  if (filters.maxPrice !== null) next.set("max_price", String(filters.maxPrice));
+  filters.sellers.forEach((s) => next.append("seller", s));
+  if (filters.inStock) next.set("in_stock", "1");
+  if (filters.addedWithin) next.set("added", String(filters.addedWithin));
+  return next;
+}
+
+function addedAfter(days, now = Date.now()) {
+  return new Date(now - days * 86_400_000);
+}
+
+// Query params for GET /api/commerce/products/ (django-filter style)
+export function toApiParams(filters) {
+  const params = {};
+  if (filters.minPrice !== null) params.min_price = filters.minPrice;
+  if (filters.maxPrice !== null) params.max_price = filters.maxPrice;
+  if (filters.sellers.length) params.seller = filters.sellers;
+  if (filters.inStock) params.in_stock = true;
+  if (filters.addedWithin) params.created_after = addedAfter(filters.addedWithin).toISOString().slice(0, 10);
+  return params;
+}
+
+// The same rules in the browser, for one page of results
+export function applyFilters(products, filters) {
+  const since = filters.addedWithin ? addedAfter(filters.addedWithin) : null;
+  const sellers = filters.sellers.length ? new Set(filters.sellers) : null;
+  return products.filter((p) => {
+    const price = Number(p.price);
+    if (filters.minPrice !== null && !(price >= filters.minPrice)) return false;
+    if (filters.maxPrice !== null && !(price <= filters.maxPrice)) return false;
+    if (sellers && !sellers.has(String(p.seller))) return false;
+    if (filters.inStock && !p.in_stock) return false;
+    if (since && !(new Date(p.created_at) >= since)) return false;
+    return true;
+  });
+}
+
+export function hasFilters(filters) {
+  return activeFilters(filters).length > 0;
+}
+
+// [{ key, label, without }] – one chip per active filter; `without` is the
+// filters with that one removed
+export function activeFilters(filters, formatPrice = String) {
+  const chips = [];
+  if (filters.minPrice !== null)
+    chips.push({ key: "min", label: `From ${formatPrice(filters.minPrice)}`, without: { ...filters, minPrice: null } });
+  if (filters.maxPrice !== null)
+    chips.push({ key: "max", label: `Up to ${formatPrice(filters.maxPrice)}`, without: { ...filters, maxPrice: null } });
+  filters.sellers.forEach((s) =>
+    chips.push({
+      key: `seller:${s}`,
+      label: `Seller: ${s}`,
+      without: { ...filters, sellers: filters.sellers.filter((x) => x !== s) },
+    })
+  );
+  if (filters.inStock) chips.push({ key: "stock", label: "In stock", without: { ...filters, inStock: false } });
+  if (filters.addedWithin)
+    chips.push({
+      key: "added",
+      label: filters.addedWithin === 1 ? "Added in the last 24 hours" : `Added in the last ${filters.addedWithin} days`,
+      without: { ...filters, addedWithin: null },
+    });
+  return chips;
+}
@@ -0,0 +1,143 @@
+import { isCancel } from "../apiClient";
+import { getTenant, onTenantChange } from "./tenant";
+
+/* ===========================
+   Client-side query cache
+   Entries are keyed by an array such as ["product", id]. Reads are
+   stale-while-revalidate: cached data is served immediately and refetched in
+   the background once older than `staleTime`. Mutations call
+   setQueryData / invalidateQueries to keep pages in sync.
+   Keys are scoped to the current tenant, and switching tenant drops
+   everything cached for the previous one.
+=========================== */
+export const DEFAULT_STALE_TIME = 30_000; // 30s
+const GC_TIME = 5 * 60_000; // drop unused entries after 5 min
+
+const EMPTY = Object.freeze({ data: undefined, error: null, updatedAt: 0, fetching: false });
+
+const entries = new Map(); // hash -> { state, listeners, fetcher, promise, controller, gcTimer }
+
+export function hashKey(key) {
+  return JSON.stringify([getTenant(), ...(Array.isArray(key) ? key : [key])]);
+}
+
+function getEntry(hash) {
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = { state: EMPTY, listeners: new Set(), fetcher: null, promise: null, controller: null, gcTimer: null };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+function update(entry, patch) {
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((cb) => cb());
+}
+
+function matches(hash, prefixKey) {
+  const prefix = hashKey(prefixKey).slice(0, -1);
+  return hash.startsWith(prefix) && (hash[prefix.length] === "]" || hash[prefix.length] === ",");
+}
+
+/* ===========================
+   Reads
+=========================== */
+// Snapshot for useSyncExternalStore – stable until the entry changes
+export function getQueryState(hash) {
+  return entries.get(hash)?.state || EMPTY;
+}
+
+export function getQueryData(key) {
+  return getQueryState(hashKey(key)).data;
+}
+
+export function isStale(hash, staleTime = DEFAULT_STALE_TIME) {
+  const { updatedAt } = getQueryState(hash);
+  return !updatedAt || Date.now() - updatedAt > staleTime;
+}
+
+// Fetch (or join the in-flight fetch for) one entry. A fetch that was aborted
+// because its last subscriber left is not joined – a new subscriber (e.g. a
+// StrictMode remount) starts over instead of inheriting the cancellation.
+export function fetchQuery(hash, fetcher) {
+  const entry = getEntry(hash);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise && !entry.controller?.signal.aborted) return entry.promise;
+  if (!entry.fetcher) return Promise.resolve(entry.state.data);
+
+  const controller = new AbortController();
+  entry.controller = controller;
+  update(entry, { fetching: true });
+
+  // Only the latest fetch may touch the entry; a superseded one just settles
+  const current = () => entry.controller === controller;
+  const promise = entry
+    .fetcher({ signal: controller.signal })
+    .then((data) => {
+      if (current()) update(entry, { data, error: null, updatedAt: Date.now(), fetching: false });
+      return data;
+    })
+    .catch((error) => {
+      if (current()) update(entry, isCancel(error) ? { fetching: false } : { error, fetching: false });
+      throw error;
+    })
+    .finally(() => {
+      if (!current()) return;
+      entry.promise = null;
+      entry.controller = null;
+    });
+
+  // Callers that don't await (hooks) must not surface unhandled rejections
+  promise.catch(() => {});
+  entry.promise = promise;
+  return promise;
+}
+
+export function subscribe(hash, listener) {
+  const entry = getEntry(hash);
+  clearTimeout(entry.gcTimer);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size) return;
+    // Nobody is waiting for this result anymore
+    if (entry.controller && entry.state.data === undefined) entry.controller.abort();
+    entry.gcTimer = setTimeout(() => {
+      if (!entry.listeners.size) entries.delete(hash);
+    }, GC_TIME);
+  };
+}
+
+/* ===========================
+   Writes
+=========================== */
+// `updater` is the new data or a function of the previous data
+export function setQueryData(key, updater) {
+  const entry = getEntry(hashKey(key));
+  const data = typeof updater === "function" ? updater(entry.state.data) : updater;
+  update(entry, { data, error: null, updatedAt: Date.now() });
+}
+
+// Mark every entry under `prefixKey` stale; entries on screen refetch right away
+export function invalidateQueries(prefixKey) {
+  entries.forEach((entry, hash) => {
+    if (!matches(hash, prefixKey)) return;
+    update(entry, { updatedAt: 0 });
+    if (entry.listeners.size) fetchQuery(hash);
+  });
+}
+
+// Drop entries entirely (e.g. on logout) – nothing is refetched
+export function removeQueries(prefixKey) {
+  entries.forEach((entry, hash) => {
+    if (prefixKey && !matches(hash, prefixKey)) return;
+    entry.controller?.abort();
+    clearTimeout(entry.gcTimer);
+    update(entry, EMPTY);
+    if (!entry.listeners.size) entries.delete(hash);
+  });
+}
+
+onTenantChange(() => removeQueries());
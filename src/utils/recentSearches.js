@@ -0,0 +1,35 @@
+/* ===========================
+   Recent product searches (this browser only)
+   Newest first, case-insensitively unique.
+=========================== */
+const KEY = "buzcart:recent-searches";
+const MAX = 8;
+
+export function getRecentSearches() {
+  try {
+    const list = JSON.parse(localStorage.getItem(KEY) || "[]");
+    return Array.isArray(list) ? list.filter((q) => typeof q === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+export function addRecentSearch(query) {
+  const q = String(query ?? "").trim();
+  if (q.length < 2) return getRecentSearches();
+  const next = [q, ...getRecentSearches().filter((s) => s.toLowerCase() !== q.toLowerCase())].slice(0, MAX);
+  try {
+    localStorage.setItem(KEY, JSON.stringify(next));
+  } catch {
+    // storage unavailable – nothing to remember
+  }
+  return next;
+}
+
+export function clearRecentSearches() {
+  try {
+    localStorage.removeItem(KEY);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,15 @@
+// "Return-to" handling for auth redirects. The intended location travels in
+// router state as `{ from: location }` (see ProtectedRoute).
+
+// Only same-app paths – never "//evil.com" or absolute URLs
+function isLocalPath(path) {
+  return typeof path === "string" && path.startsWith("/") && !path.startsWith("//");
+}
+
+// Where to go once signed in: the page the user was sent away from, else `fallback`
+export function returnPath(state, fallback = "/") {
+  const from = state?.from;
+  if (!from || !isLocalPath(from.pathname)) return fallback;
+  if (from.pathname === "/login" || from.pathname === "/register") return fallback;
+  return `${from.pathname}${from.search || ""}${from.hash || ""}`;
+}
@@ -0,0 +1,100 @@
+/* ===========================
+   Cross-tab session bus
+   Login, logout and token refresh are broadcast to every open tab
+   (BroadcastChannel, or a `storage` event where that is unavailable).
+   Listeners in the publishing tab are called too, with `remote: false`.
+=========================== */
+export const SESSION_LOGIN = "login";
+export const SESSION_LOGOUT = "logout";
+export const SESSION_REFRESH = "refresh";
+
+const CHANNEL = "buzcart:session";
+const LOCK_KEY = "buzcart:session-lock";
+
+const listeners = new Set();
+const tabId = Math.random().toString(36).slice(2);
+
+function notify(message, remote) {
+  listeners.forEach((cb) => cb({ ...message, remote }));
+}
+
+let channel = null;
+if (typeof window !== "undefined") {
+  if ("BroadcastChannel" in window) {
+    channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = (e) => notify(e.data, true);
+  } else {
+    // Fallback: other tabs see the write as a `storage` event
+    window.addEventListener("storage", (e) => {
+      if (e.key !== CHANNEL || !e.newValue) return;
+      try {
+        notify(JSON.parse(e.newValue), true);
+      } catch {
+        // not ours
+      }
+    });
+  }
+}
+
+// detail must be structured-cloneable (and JSON-safe for the fallback)
+export function publishSession(type, detail = {}) {
+  const message = { type, detail, from: tabId, at: Date.now() };
+  if (channel) channel.postMessage(message);
+  else if (typeof localStorage !== "undefined") {
+    localStorage.setItem(CHANNEL, JSON.stringify(message));
+    localStorage.removeItem(CHANNEL);
+  }
+  notify(message, false);
+}
+
+// handler({ type, detail, remote }); returns an unsubscribe function
+export function onSessionChange(handler) {
+  listeners.add(handler);
+  return () => listeners.delete(handler);
+}
+
+/* ===========================
+   Cross-tab lock
+   Runs `fn` while no other tab holds the same lock (Web Locks API, or a
+   best-effort localStorage lease where that is unavailable).
+=========================== */
+const LEASE_MS = 10_000; // a crashed tab can't hold the fallback lock longer than this
+const POLL_MS = 50;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCK_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+async function withStorageLock(fn) {
+  const deadline = Date.now() + LEASE_MS;
+  for (;;) {
+    const lease = readLease();
+    if (!lease || lease.until < Date.now() || Date.now() > deadline) {
+      localStorage.setItem(LOCK_KEY, JSON.stringify({ owner: tabId, until: Date.now() + LEASE_MS }));
+      // Another tab may have written at the same moment – last writer wins
+      await wait(POLL_MS);
+      if (readLease()?.owner === tabId) break;
+    } else {
+      await wait(POLL_MS);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    if (readLease()?.owner === tabId) localStorage.removeItem(LOCK_KEY);
+  }
+}
+
+export function withSessionLock(fn) {
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    return navigator.locks.request(LOCK_KEY, fn);
+  }
+  if (typeof localStorage === "undefined") return fn();
+  return withStorageLock(fn);
+}
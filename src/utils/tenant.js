@@ -0,0 +1,36 @@
+import config from "../config";
+
+/* ===========================
+   Current tenant (storefront)
+   Comes from the `tenant_id` claim once signed in (apiClient keeps it in
+   sync), else from config.tenant.default. Every request carries it in
+   config.tenant.header and cached queries are keyed by it.
+=========================== */
+const listeners = new Set();
+let tenantId = config.tenant.default ?? null;
+
+export function getTenant() {
+  return tenantId;
+}
+
+// Listeners run only on an actual change, after the new tenant is current
+export function setTenant(id) {
+  const next = id === undefined || id === null || id === "" ? config.tenant.default ?? null : String(id);
+  if (next === tenantId) return;
+  const previous = tenantId;
+  tenantId = next;
+  listeners.forEach((cb) => cb(next, previous));
+}
+
+// Returns an unsubscribe function (fits useSyncExternalStore)
+export function onTenantChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const DEFAULT_BRANDING = { name: "BuzCart", logo: "", primary: "" };
+
+// { name, logo, primary } for a tenant, falling back to BuzCart's own
+export function brandingFor(id = tenantId) {
+  return { ...DEFAULT_BRANDING, ...(config.tenant.branding?.[id] || {}) };
+}
@@ -0,0 +1,114 @@
+/* ===========================
+   Token storage
+   Where the JWT pair lives is a deploy-time choice (config.auth.tokenStorage):
+     local   – localStorage, survives restarts (default)
+     session – sessionStorage, gone when the tab closes
+     memory  – a variable, gone on reload
+     cookie  – the backend sets httpOnly cookies; the client never sees a
+               token and only remembers *that* a session exists
+   In local mode Login's "remember me" can opt down to sessionStorage per login.
+=========================== */
+export const TOKEN_STORAGE_MODES = ["local", "session", "memory", "cookie"];
+
+const ACCESS = "access";
+const REFRESH = "refresh";
+const SESSION_FLAG = "session"; // cookie mode: "1" while logged in
+
+// Keys written by older builds of the app
+const LEGACY_ACCESS_KEYS = ["access_token", "ACCESS_TOKEN", "jwt", "token"];
+
+function webStorage(name) {
+  try {
+    const s = typeof window !== "undefined" ? window[name] : undefined;
+    return s && typeof s.getItem === "function" ? s : null;
+  } catch {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+function memoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (k) => (values.has(k) ? values.get(k) : null),
+    setItem: (k, v) => values.set(k, String(v)),
+    removeItem: (k) => values.delete(k),
+  };
+}
+
+// Move tokens left under legacy keys into the current slot, then drop them
+function migrateLegacyKeys(target) {
+  for (const source of [webStorage("localStorage"), webStorage("sessionStorage")]) {
+    if (!source) continue;
+    for (const key of LEGACY_ACCESS_KEYS) {
+      const value = source.getItem(key);
+      if (value == null) continue;
+      if (target && !target.getItem(ACCESS)) target.setItem(ACCESS, value);
+      source.removeItem(key);
+    }
+  }
+}
+
+export function createTokenStore(mode = "local") {
+  const cookieMode = mode === "cookie";
+  const local = webStorage("localStorage");
+  const session = webStorage("sessionStorage");
+
+  let backend;
+  if (mode === "memory" || cookieMode) backend = memoryStorage();
+  else if (mode === "session") backend = session || memoryStorage();
+  // local: resume wherever the last login put the tokens
+  else backend = (session?.getItem(REFRESH) && session) || local || memoryStorage();
+
+  // Cookie mode keeps its "logged in" flag where other tabs can see it
+  const flagStorage = local || backend;
+
+  if (!cookieMode) migrateLegacyKeys(backend);
+
+  const read = (k) => backend.getItem(k);
+  const write = (k, v) => (v ? backend.setItem(k, v) : backend.removeItem(k));
+
+  return {
+    mode,
+    cookieMode,
+
+    get access() {
+      return cookieMode ? null : read(ACCESS);
+    },
+    set access(v) {
+      if (!cookieMode) write(ACCESS, v);
+    },
+    get refresh() {
+      return cookieMode ? null : read(REFRESH);
+    },
+    set refresh(v) {
+      if (!cookieMode) write(REFRESH, v);
+    },
+
+    // Cookie mode can't read its tokens, so the UI relies on this flag
+    get hasSession() {
+      if (cookieMode) return flagStorage.getItem(SESSION_FLAG) === "1";
+      return !!(read(ACCESS) || read(REFRESH));
+    },
+    markSession(active) {
+      if (!cookieMode) return;
+      if (active) flagStorage.setItem(SESSION_FLAG, "1");
+      else flagStorage.removeItem(SESSION_FLAG);
+    },
+
+    // "Remember me": persistent vs per-tab storage for the next tokens written.
+    // Only local mode offers the choice; the others are fixed by deployment.
+    remember(persist) {
+      if (mode !== "local") return;
+      const next = persist ? local : session;
+      if (!next || next === backend) return;
+      this.clear();
+      backend = next;
+    },
+
+    clear() {
+      backend.removeItem(ACCESS);
+      backend.removeItem(REFRESH);
+      this.markSession(false);
+    },
+  };
+}